@@ -0,0 +1,380 @@
+const axios = require('axios');
+const { getProviderConfig } = require('./ai-providers');
+const { estimateTokens } = require('./diff-budget');
+
+// Request defaults; AI_TIMEOUT (seconds) and AI_MAX_RETRIES override them
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_RETRIES = 3;
+
+// Backoff starts at one second and doubles per attempt; longer waits give up instead
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Connection failures worth another attempt (DNS and refused connections are configuration problems)
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Status codes of overloaded or failing providers (529: Anthropic overloaded)
+const RETRYABLE_STATUS_CODES = [408, 409, 500, 502, 503, 504, 529];
+
+// How providers phrase "the prompt does not fit in the context window"
+const CONTEXT_LENGTH_PATTERN = /context.(length|window)|maximum context|too many tokens|prompt is too long|input is too long|token limit|exceeds the limit/i;
+
+/**
+ * Build the URL, headers and payload of a chat request
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {{stream?: boolean, settings?: object, schema?: object, structuredOutput?: string}} [options] - Request options
+ * @returns {{url: string, headers: object, payload: object}}
+ */
+function buildRequest(providerConfig, apiKey, model, messages, { stream = false, settings = {}, schema = null, structuredOutput = null } = {}) {
+  const streamUsage = stream && Boolean(providerConfig.streamUsage);
+  const urlSource = stream && providerConfig.streamUrl ? providerConfig.streamUrl : providerConfig.url;
+  const url = typeof urlSource === 'function'
+    ? urlSource(model, apiKey, settings)
+    : urlSource;
+
+  return {
+    url,
+    headers: providerConfig.buildHeaders(apiKey),
+    payload: providerConfig.buildPayload(model, messages, {
+      stream,
+      ...(streamUsage ? { streamUsage } : {}),
+      ...(schema ? { schema, structuredOutput } : {}),
+    }),
+  };
+}
+
+/**
+ * Parse a Server-Sent Events stream into JSON data objects
+ * @param {AsyncIterable<Buffer|string>} stream - Response body stream
+ * @returns {AsyncGenerator<object>} Parsed `data:` payloads
+ */
+async function* parseSSE(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.substring('data:'.length).trimStart())
+        .join('\n');
+
+      if (!data) {
+        continue;
+      }
+      if (data === '[DONE]') {
+        return;
+      }
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Ignore keep-alive comments and partial frames some proxies emit
+      }
+    }
+  }
+}
+
+/**
+ * Replace a streamed error body with its text so it can be reported
+ * @param {Error} error - Axios error
+ * @returns {Promise<Error>} The same error with a readable response body
+ */
+async function readStreamError(error) {
+  const data = error.response?.data;
+  if (data && typeof data.on === 'function') {
+    let text = '';
+    for await (const chunk of data) {
+      text += chunk.toString();
+    }
+    try {
+      error.response.data = JSON.parse(text);
+    } catch {
+      error.response.data = text;
+    }
+  }
+  return error;
+}
+
+/**
+ * Get the provider's own error message from a failed request
+ * @param {Error} error - Axios error
+ * @returns {string} Error message
+ */
+function getProviderErrorMessage(error) {
+  const data = error.response?.data;
+  if (!data) {
+    return error.message;
+  }
+  // OpenAI-style, Anthropic and Gemini: {error: {message}}; others: {message} or {error: "..."}
+  const message = data.error?.message || data.message || data.error || data.detail || data;
+  return typeof message === 'string' ? message.trim() : JSON.stringify(message);
+}
+
+/**
+ * Classify a failed AI request
+ * @param {Error} error - Error thrown by requestCompletion
+ * @returns {{kind: string, retryable: boolean, status?: number, message: string}} Kind is one of
+ *   auth, quota, rate_limit, context_length, timeout, network, server, request or unknown
+ */
+function classifyAIError(error) {
+  const message = getProviderErrorMessage(error);
+
+  if (error.response) {
+    const { status } = error.response;
+    const code = error.response.data?.error?.code || error.response.data?.error?.type || '';
+    if (status === 401 || status === 403) {
+      return { kind: 'auth', retryable: false, status, message };
+    }
+    if (code === 'insufficient_quota' || status === 402) {
+      return { kind: 'quota', retryable: false, status, message };
+    }
+    if (status === 429) {
+      return { kind: 'rate_limit', retryable: true, status, message };
+    }
+    if ((status === 400 || status === 413) && CONTEXT_LENGTH_PATTERN.test(message)) {
+      return { kind: 'context_length', retryable: false, status, message };
+    }
+    if (RETRYABLE_STATUS_CODES.includes(status)) {
+      return { kind: 'server', retryable: true, status, message };
+    }
+    return { kind: 'request', retryable: false, status, message };
+  }
+
+  if (error.code === 'ECONNABORTED' || /timeout/i.test(error.message)) {
+    return { kind: 'timeout', retryable: true, message };
+  }
+  if (error.code) {
+    return { kind: 'network', retryable: TRANSIENT_NETWORK_CODES.includes(error.code), message };
+  }
+  return { kind: 'unknown', retryable: false, message };
+}
+
+/**
+ * Describe a failed AI request with a hint on how to fix it
+ * @param {Error} error - Error thrown by requestCompletion
+ * @param {string} provider - AI provider name
+ * @returns {string} Error description
+ */
+function describeAIError(error, provider) {
+  const { kind, status, message } = classifyAIError(error);
+  const detail = status ? `${status} ${message}` : message;
+
+  switch (kind) {
+    case 'auth':
+      return `Authentication failed (${detail}). Check the API key with "pra config API_KEY <key> --provider ${provider}".`;
+    case 'quota':
+      return `The account has no quota left (${detail}). Check the billing settings of ${provider} or add a fallback with AI_FALLBACKS.`;
+    case 'rate_limit':
+      return `Rate limited (${detail}). Wait a moment, or add a fallback with AI_FALLBACKS.`;
+    case 'context_length':
+      return `The prompt does not fit in the model's context window (${detail}). Use a model with a larger context or compare against a closer base with --base.`;
+    case 'timeout':
+      return `The request timed out (${detail}). Raise the limit with "pra config AI_TIMEOUT <seconds>".`;
+    case 'network':
+      return `Could not reach ${provider} (${detail}). Check your network connection and the provider's BASE_URL.`;
+    case 'server':
+      return `${provider} is unavailable (${detail}). Try again later, or add a fallback with AI_FALLBACKS.`;
+    default:
+      return detail;
+  }
+}
+
+/**
+ * Work out how long to wait before retrying a request
+ * Honors Retry-After (seconds or HTTP date) and OpenAI's retry-after-ms, otherwise
+ * backs off exponentially with jitter.
+ * @param {Error} error - Failed request
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const headers = error.response?.headers || {};
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.random() * backoff * 0.2, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Pass the token usage of a completed request to `onUsage`
+ * Counts the provider did not report are estimated from the text.
+ * @param {{promptTokens?: number, completionTokens?: number}|null} usage - Usage reported by the provider
+ * @param {object[]} messages - Chat messages
+ * @param {string} content - Generated content
+ * @param {function(object): void} [onUsage] - Called with {promptTokens, completionTokens, estimated}
+ */
+function reportUsage(usage, messages, content, onUsage) {
+  if (!onUsage) {
+    return;
+  }
+  const reported = usage || {};
+  const estimated = reported.promptTokens === undefined || reported.completionTokens === undefined;
+  onUsage({
+    promptTokens: reported.promptTokens ?? estimateTokens(messages.map(message => message.content).join('\n')),
+    completionTokens: reported.completionTokens ?? estimateTokens(content),
+    estimated,
+  });
+}
+
+/**
+ * Send one chat completion request, streaming it when `onToken` is given
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {object} options - Request options (see requestCompletion)
+ * @returns {Promise<string>} Complete generated content
+ */
+async function sendCompletion(providerConfig, apiKey, model, messages, options) {
+  const stream = Boolean(options.onToken && providerConfig.extractStreamDelta);
+  const { url, headers, payload } = buildRequest(providerConfig, apiKey, model, messages, {
+    stream,
+    settings: options.settings,
+    schema: options.schema,
+    structuredOutput: options.structuredOutput,
+  });
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  if (!stream) {
+    const response = await axios.post(url, payload, { headers, timeout });
+    const content = providerConfig.extractContent(response);
+    reportUsage(providerConfig.extractUsage?.(response.data), messages, content, options.onUsage);
+    return content;
+  }
+
+  let response;
+  try {
+    response = await axios.post(url, payload, { headers, timeout, responseType: 'stream' });
+  } catch (error) {
+    throw await readStreamError(error);
+  }
+
+  let content = '';
+  let usage = null;
+  for await (const event of parseSSE(response.data)) {
+    const text = providerConfig.extractStreamDelta(event);
+    if (text) {
+      content += text;
+      options.onToken(text);
+    }
+    // Providers spread usage over several events; later counts replace earlier ones
+    const eventUsage = providerConfig.extractUsage?.(event);
+    if (eventUsage) {
+      usage = { ...usage, ...eventUsage };
+    }
+  }
+  reportUsage(usage, messages, content, options.onUsage);
+  return content;
+}
+
+/**
+ * Send a chat completion request to a provider
+ * When `onToken` is given and the provider supports streaming, the response is
+ * streamed and every text fragment is passed to the callback as it arrives.
+ * Rate limits, server errors, timeouts and dropped connections are retried with
+ * backoff, unless part of the response was already streamed.
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {object} [options] - Request options
+ * @param {function(string): void} [options.onToken] - Called with each streamed text fragment
+ * @param {object} [options.settings] - Provider settings (e.g. BASE_URL)
+ * @param {object} [options.schema] - JSON schema the response must follow
+ * @param {string} [options.structuredOutput] - How the provider enforces the schema (see getStructuredOutputMode)
+ * @param {number} [options.timeout] - Request timeout in milliseconds (default 120000)
+ * @param {number} [options.maxRetries] - Retries after a transient failure (default 3)
+ * @param {function(object): void} [options.onUsage] - Called after each successful request with
+ *   {promptTokens, completionTokens, estimated}; estimated is true when the provider did not report them
+ * @returns {Promise<string>} Complete generated content
+ */
+async function requestCompletion(providerConfig, apiKey, model, messages, options = {}) {
+  const maxRetries = Number.isInteger(options.maxRetries) && options.maxRetries >= 0 ? options.maxRetries : DEFAULT_MAX_RETRIES;
+
+  for (let attempt = 1; ; attempt++) {
+    let streamed = false;
+    const onToken = options.onToken && ((text) => {
+      streamed = true;
+      options.onToken(text);
+    });
+
+    try {
+      return await sendCompletion(providerConfig, apiKey, model, messages, { ...options, onToken });
+    } catch (error) {
+      const { retryable, status, message } = classifyAIError(error);
+      const delay = getRetryDelay(error, attempt);
+      if (!retryable || streamed || attempt > maxRetries || delay > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+      console.log(`⏳ ${providerConfig.name}: ${status ? `${status} ` : ''}${message}. Retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${maxRetries})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Send a chat request to the first provider of a list that succeeds
+ * Each failure is reported with describeAIError before the next provider is tried.
+ * @param {{provider: string, model: string, apiKey: string, settings?: object}[]} candidates - Configured provider first, then fallbacks
+ * @param {object[]} messages - Chat messages
+ * @param {object} [options] - Request options (see requestCompletion), settings come from each candidate;
+ *   onUsage also receives the provider and model that answered
+ * @returns {Promise<string|null>} Generated content, or null if every provider failed
+ */
+async function requestWithFallbacks(candidates, messages, options = {}) {
+  for (const [index, candidate] of candidates.entries()) {
+    const providerConfig = getProviderConfig(candidate.provider);
+    if (!providerConfig) {
+      console.error(`❌ Error: AI provider "${candidate.provider}" is not configured.`);
+      continue;
+    }
+    if (index > 0) {
+      console.log(`↪️ Falling back to ${candidate.provider} (${candidate.model})...`);
+    }
+
+    let streamed = false;
+    const onToken = options.onToken && ((text) => {
+      streamed = true;
+      options.onToken(text);
+    });
+    try {
+      console.log(`🔄 Contacting ${providerConfig.name} with model ${candidate.model}...`);
+      const onUsage = options.onUsage && (usage => options.onUsage({ ...usage, provider: candidate.provider, model: candidate.model }));
+      return await requestCompletion(providerConfig, candidate.apiKey, candidate.model, messages, { ...options, onToken, onUsage, settings: candidate.settings });
+    } catch (error) {
+      if (streamed) {
+        console.log('');
+      }
+      console.error(`❌ ${providerConfig.name} failed: ${describeAIError(error, candidate.provider)}`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  buildRequest,
+  parseSSE,
+  requestCompletion,
+  requestWithFallbacks,
+  classifyAIError,
+  describeAIError
+};
@@ -1,3 +1,106 @@
+// Upper bound on generated tokens, reserved out of every model's context window
+const MAX_OUTPUT_TOKENS = 2048;
+
+// Name of the structured output schema / tool sent to providers
+const SCHEMA_NAME = 'pull_request';
+
+/**
+ * Build the OpenAI-style response_format for structured output
+ * `json_schema` enforces the schema; `json_object` only guarantees valid JSON.
+ * @param {string} mode - json_schema or json_object
+ * @param {object} schema - JSON schema of the response
+ * @returns {object} response_format value
+ */
+function buildResponseFormat(mode, schema) {
+  return mode === 'json_schema'
+    ? { type: 'json_schema', json_schema: { name: SCHEMA_NAME, strict: true, schema } }
+    : { type: 'json_object' };
+}
+
+/**
+ * Build an OpenAI-style chat completion payload
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {{stream?: boolean, streamUsage?: boolean, schema?: object, structuredOutput?: string}} [options] - Payload options
+ * @returns {object} Request payload
+ */
+function buildChatCompletionPayload(model, messages, options = {}) {
+  return {
+    model: model,
+    messages: messages,
+    temperature: 0.7,
+    max_tokens: MAX_OUTPUT_TOKENS,
+    stream: Boolean(options.stream),
+    // Streamed responses only report token usage in a final chunk when asked to
+    ...(options.stream && options.streamUsage ? { stream_options: { include_usage: true } } : {}),
+    ...(options.schema ? { response_format: buildResponseFormat(options.structuredOutput, options.schema) } : {}),
+  };
+}
+
+/**
+ * Convert a JSON schema into the OpenAPI subset Gemini accepts
+ * Gemini expects upper-case types and rejects additionalProperties.
+ * @param {object} schema - JSON schema
+ * @returns {object} Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const { additionalProperties, type, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    type: type.toUpperCase(),
+    ...(properties ? { properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])) } : {}),
+    ...(items ? { items: toGeminiSchema(items) } : {}),
+  };
+}
+
+/**
+ * Extract the generated text from an OpenAI-style chat completion response
+ * @param {object} response - Axios response
+ * @returns {string} Generated text
+ */
+function extractChatCompletionContent(response) {
+  return response.data.choices[0].message.content;
+}
+
+/**
+ * Extract the text fragment from an OpenAI-style streaming chunk
+ * @param {object} event - Parsed SSE data
+ * @returns {string} Text fragment
+ */
+function extractChatCompletionDelta(event) {
+  return event.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * Extract token usage from an OpenAI-style response or the last streaming chunk
+ * @param {object} data - Response body or parsed SSE data
+ * @returns {{promptTokens: number, completionTokens: number}|null} Token usage, or null if not reported
+ */
+function extractChatCompletionUsage(data) {
+  return data?.usage ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 } : null;
+}
+
+/**
+ * Build the chat completions URL of a self-hosted, OpenAI-compatible server
+ * @param {string} baseUrl - API root, e.g. http://localhost:11434/v1
+ * @returns {string} Chat completions endpoint
+ */
+function buildChatCompletionUrl(baseUrl) {
+  return `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+}
+
+/**
+ * Build headers for servers where the API key is optional
+ * @param {string} apiKey - API key (may be empty)
+ * @returns {object} Request headers
+ */
+function buildOptionalAuthHeaders(apiKey) {
+  return {
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    'Content-Type': 'application/json',
+  };
+}
+
 const AI_CONFIG = {
   deepseek: {
     name: 'DeepSeek',
@@ -6,15 +109,24 @@ const AI_CONFIG = {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
     }),
-    buildPayload: (model, messages) => ({
-      model: model,
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 2048,
-      stream: false,
-    }),
-    extractContent: (response) => response.data.choices[0].message.content,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    streamUsage: true,
+    structuredOutput: 'json_object',
     defaultModel: 'deepseek-chat',
+    contextLimits: {
+      default: 64000,
+      'deepseek-chat': 64000,
+      'deepseek-reasoner': 64000,
+    },
+    // List prices in US dollars per million prompt (input) and completion (output) tokens,
+    // only used to estimate costs
+    prices: {
+      'deepseek-chat': { input: 0.27, output: 1.1 },
+      'deepseek-reasoner': { input: 0.55, output: 2.19 },
+    },
     description: 'DeepSeek AI - Fast and reliable AI service'
   },
   openai: {
@@ -24,15 +136,31 @@ const AI_CONFIG = {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json',
     }),
-    buildPayload: (model, messages) => ({
-      model: model,
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 2048,
-      stream: false,
-    }),
-    extractContent: (response) => response.data.choices[0].message.content,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    streamUsage: true,
+    // Schema-enforced output needs gpt-4o or newer; older models only have JSON mode
+    structuredOutput: (model) => (/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model) ? 'json_schema' : 'json_object'),
     defaultModel: 'gpt-4-turbo',
+    contextLimits: {
+      default: 128000,
+      'gpt-4-turbo': 128000,
+      'gpt-4o': 128000,
+      'gpt-4o-mini': 128000,
+      'gpt-4': 8192,
+      'gpt-3.5-turbo': 16385,
+    },
+    prices: {
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    },
     description: 'OpenAI GPT - Industry leading AI models'
   },
   openrouter: {
@@ -44,40 +172,227 @@ const AI_CONFIG = {
       'HTTP-Referer': 'https://github.com/your-repo/pr-automator',
       'X-Title': 'PR Automator',
     }),
-    buildPayload: (model, messages) => ({
-      model: model,
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 2048,
-    }),
-    extractContent: (response) => response.data.choices[0].message.content,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    streamUsage: true,
     defaultModel: 'google/gemini-pro',
+    contextLimits: {
+      default: 32000,
+      'google/gemini-pro': 32760,
+      'openai/gpt-4o': 128000,
+      'anthropic/claude-3.5-sonnet': 200000,
+    },
+    prices: {
+      'openai/gpt-4o': { input: 2.5, output: 10 },
+      'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+    },
     description: 'OpenRouter - Access to multiple AI providers'
   },
   gemini: {
     name: 'Google Gemini',
     url: (model, apiKey) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+    streamUrl: (model, apiKey) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
     buildHeaders: () => ({
       'Content-Type': 'application/json',
     }),
-    buildPayload: (model, messages) => {
+    buildPayload: (model, messages, options = {}) => {
       const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
-      const userPrompt = messages.find(m => m.role === 'user')?.content || '';
+      const conversation = messages.filter(m => m.role !== 'system');
       
       return {
-        contents: [{
-          parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-        }],
+        contents: conversation.map((message, index) => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: index === 0 ? `${systemPrompt}\n\n${message.content}` : message.content }]
+        })),
         generationConfig: {
           temperature: 0.7,
-          maxOutputTokens: 2048,
+          maxOutputTokens: MAX_OUTPUT_TOKENS,
+          ...(options.schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(options.schema) } : {}),
         }
       };
     },
     extractContent: (response) => response.data.candidates[0].content.parts[0].text,
+    extractStreamDelta: (event) => (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+    // Every streamed chunk carries the running totals
+    extractUsage: (data) => (data?.usageMetadata ? {
+      promptTokens: data.usageMetadata.promptTokenCount || 0,
+      completionTokens: data.usageMetadata.candidatesTokenCount || 0,
+    } : null),
+    // JSON responses with a schema need Gemini 1.5 or newer
+    structuredOutput: (model) => (/^gemini-(1\.5|[2-9])/.test(model) ? 'native' : null),
     defaultModel: 'gemini-pro',
+    contextLimits: {
+      default: 32760,
+      'gemini-pro': 32760,
+      'gemini-1.5-pro': 2097152,
+      'gemini-1.5-flash': 1048576,
+    },
+    prices: {
+      'gemini-pro': { input: 0.5, output: 1.5 },
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    },
     description: 'Google Gemini - Advanced AI from Google'
   },
+  anthropic: {
+    name: 'Anthropic Claude',
+    url: 'https://api.anthropic.com/v1/messages',
+    buildHeaders: (apiKey) => ({
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json',
+    }),
+    buildPayload: (model, messages, options = {}) => ({
+      model: model,
+      system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+      messages: messages.filter(m => m.role !== 'system'),
+      temperature: 0.7,
+      max_tokens: MAX_OUTPUT_TOKENS,
+      stream: Boolean(options.stream),
+      // Structured output is a forced call of a tool whose input is the schema
+      ...(options.schema ? {
+        tools: [{ name: SCHEMA_NAME, description: 'Submit the pull request description', input_schema: options.schema }],
+        tool_choice: { type: 'tool', name: SCHEMA_NAME },
+      } : {}),
+    }),
+    extractContent: (response) => {
+      const toolUse = response.data.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      return response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+    extractStreamDelta: (event) => (event.type === 'content_block_delta' && (event.delta?.text || event.delta?.partial_json)) || '',
+    // Streams report input tokens in message_start and output tokens in message_delta
+    extractUsage: (data) => {
+      const usage = data?.message?.usage || data?.usage;
+      if (!usage) {
+        return null;
+      }
+      return {
+        ...(usage.input_tokens !== undefined ? { promptTokens: usage.input_tokens } : {}),
+        ...(usage.output_tokens !== undefined ? { completionTokens: usage.output_tokens } : {}),
+      };
+    },
+    structuredOutput: 'native',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    contextLimits: {
+      default: 200000,
+    },
+    prices: {
+      'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+      'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+      'claude-3-opus-latest': { input: 15, output: 75 },
+    },
+    description: 'Anthropic Claude - Thoughtful models with large context windows'
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    url: (model, apiKey, settings) => {
+      const endpoint = settings.AZURE_ENDPOINT.replace(/\/+$/, '');
+      const deployment = encodeURIComponent(settings.AZURE_DEPLOYMENT || model);
+      return `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${settings.AZURE_API_VERSION}`;
+    },
+    buildHeaders: (apiKey) => ({
+      'api-key': apiKey,
+      'Content-Type': 'application/json',
+    }),
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    // json_schema needs API version 2024-08-01-preview or later, JSON mode works with the default one
+    structuredOutput: 'json_object',
+    defaultModel: 'gpt-4o',
+    settings: [
+      { key: 'AZURE_ENDPOINT', message: 'Azure OpenAI endpoint (e.g. https://my-resource.openai.azure.com):', required: true },
+      { key: 'AZURE_DEPLOYMENT', message: 'Deployment name (leave empty to use the model name):' },
+      { key: 'AZURE_API_VERSION', message: 'API version:', default: '2024-06-01' },
+    ],
+    contextLimits: {
+      default: 128000,
+      'gpt-4': 8192,
+      'gpt-35-turbo': 16385,
+    },
+    prices: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-35-turbo': { input: 0.5, output: 1.5 },
+    },
+    description: 'Azure OpenAI - OpenAI models deployed in your Azure subscription'
+  },
+  ollama: {
+    name: 'Ollama',
+    url: (model, apiKey, settings) => buildChatCompletionUrl(settings.BASE_URL || 'http://localhost:11434/v1'),
+    buildHeaders: buildOptionalAuthHeaders,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    structuredOutput: 'json_schema',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    settings: [
+      { key: 'BASE_URL', message: 'Ollama API URL:', default: 'http://localhost:11434/v1' },
+    ],
+    contextLimits: {
+      default: 8192,
+      'llama3.1': 131072,
+      'qwen2.5-coder': 32768,
+    },
+    // Local models cost nothing per token
+    prices: {
+      default: { input: 0, output: 0 },
+    },
+    description: 'Ollama - Run open models locally, no data leaves your machine'
+  },
+  lmstudio: {
+    name: 'LM Studio',
+    url: (model, apiKey, settings) => buildChatCompletionUrl(settings.BASE_URL || 'http://localhost:1234/v1'),
+    buildHeaders: buildOptionalAuthHeaders,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    structuredOutput: 'json_schema',
+    defaultModel: 'local-model',
+    requiresApiKey: false,
+    settings: [
+      { key: 'BASE_URL', message: 'LM Studio server URL:', default: 'http://localhost:1234/v1' },
+    ],
+    contextLimits: {
+      default: 8192,
+    },
+    prices: {
+      default: { input: 0, output: 0 },
+    },
+    description: 'LM Studio - Local models through the LM Studio server'
+  },
+  'openai-compatible': {
+    name: 'OpenAI-Compatible',
+    url: (model, apiKey, settings) => buildChatCompletionUrl(settings.BASE_URL),
+    buildHeaders: buildOptionalAuthHeaders,
+    buildPayload: buildChatCompletionPayload,
+    extractContent: extractChatCompletionContent,
+    extractStreamDelta: extractChatCompletionDelta,
+    extractUsage: extractChatCompletionUsage,
+    defaultModel: 'default',
+    requiresApiKey: false,
+    settings: [
+      { key: 'BASE_URL', message: 'API base URL (e.g. http://localhost:8000/v1):', required: true },
+    ],
+    contextLimits: {
+      default: 8192,
+    },
+    description: 'OpenAI-Compatible - Any self-hosted endpoint (vLLM, llama.cpp, LocalAI, ...)'
+  },
 };
 
 /**
@@ -114,10 +429,78 @@ function getProviderNames() {
   return Object.keys(AI_CONFIG);
 }
 
+/**
+ * Check whether a provider needs an API key
+ * @param {string} provider - Provider name
+ * @returns {boolean} True if an API key is required
+ */
+function requiresApiKey(provider) {
+  return AI_CONFIG[provider]?.requiresApiKey !== false;
+}
+
+/**
+ * Get the extra settings a provider reads from the configuration
+ * @param {string} provider - Provider name
+ * @returns {{key: string, message: string, default?: string, required?: boolean}[]} Provider settings
+ */
+function getProviderSettings(provider) {
+  return AI_CONFIG[provider]?.settings || [];
+}
+
+/**
+ * Get every setting key used by any provider
+ * @returns {string[]} Unique setting keys
+ */
+function getAllProviderSettingKeys() {
+  const keys = Object.values(AI_CONFIG).flatMap(provider => (provider.settings || []).map(setting => setting.key));
+  return [...new Set(keys)];
+}
+
+/**
+ * Get how a provider is asked for structured (JSON) output
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {string|null} json_schema, json_object or native, or null if the provider has no structured output
+ */
+function getStructuredOutputMode(provider, model) {
+  const mode = AI_CONFIG[provider]?.structuredOutput;
+  return (typeof mode === 'function' ? mode(model) : mode) || null;
+}
+
+/**
+ * Get the context window size of a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens (provider default for unknown models)
+ */
+function getContextLimit(provider, model) {
+  const limits = AI_CONFIG[provider]?.contextLimits || {};
+  return limits[model] || limits.default || 8192;
+}
+
+/**
+ * Get the list price of a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} US dollars per million prompt (input) and completion (output) tokens,
+ *   or null if the price is unknown
+ */
+function getModelPrice(provider, model) {
+  const prices = AI_CONFIG[provider]?.prices || {};
+  return prices[model] || prices.default || null;
+}
+
 module.exports = {
+  MAX_OUTPUT_TOKENS,
   AI_CONFIG,
   getAvailableProviders,
   getProviderConfig,
   isValidProvider,
-  getProviderNames
+  getProviderNames,
+  requiresApiKey,
+  getProviderSettings,
+  getAllProviderSettingKeys,
+  getStructuredOutputMode,
+  getContextLimit,
+  getModelPrice
 }; 
\ No newline at end of file
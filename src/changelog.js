@@ -0,0 +1,187 @@
+const fs = require('fs');
+const { getContextLimit, MAX_OUTPUT_TOKENS } = require('./ai-providers');
+const { estimateTokens } = require('./diff-budget');
+const { requestWithFallbacks } = require('./ai-client');
+const { buildChangelogPrompt, buildMessages } = require('./prompts');
+const { redactText, summarizeFindings } = require('./redact');
+const { getLatestTag, getCommits } = require('./git');
+
+const UNRELEASED = 'Unreleased';
+
+// Header of a new CHANGELOG.md, as recommended by keepachangelog.com
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+/**
+ * Parse the range argument of the changelog command
+ * "v1.0.0..v1.1.0" (or "...") sets both ends, a single ref only the start; an empty end is left unset.
+ * @param {string} [range] - Commit range
+ * @returns {{from?: string, to?: string}|null} Ends of the range, or null if it is malformed (a..b..c)
+ */
+function parseCommitRange(range) {
+  if (!range) {
+    return {};
+  }
+  const match = range.match(/^(.*?)\.{2,3}(.*)$/);
+  if (!match) {
+    return { from: range };
+  }
+  const [, from, to] = match;
+  // Ref names cannot start with a dot, so "a....b" has one dot too many
+  if (to.includes('..') || to.startsWith('.')) {
+    return null;
+  }
+  return { from: from || undefined, to: to || undefined };
+}
+
+/**
+ * Format commits for the changelog prompt, newest first, within a token budget
+ * Older commits are dropped when the log does not fit.
+ * @param {{hash: string, subject: string, body: string}[]} commits - Commits, newest first
+ * @param {number} maxTokens - Token budget
+ * @returns {{log: string, dropped: number}} Commit log and number of dropped commits
+ */
+function formatCommitLog(commits, maxTokens) {
+  const entries = [];
+  let used = 0;
+
+  for (const { hash, subject, body } of commits) {
+    const entry = body ? `${hash} ${subject}\n${body.replace(/^/gm, '    ')}` : `${hash} ${subject}`;
+    const cost = estimateTokens(entry);
+    if (entries.length > 0 && used + cost > maxTokens) {
+      break;
+    }
+    entries.push(entry);
+    used += cost;
+  }
+
+  return { log: entries.join('\n'), dropped: commits.length - entries.length };
+}
+
+/**
+ * Generate a Keep a Changelog section for a range of commits
+ * Merge commits are included so that the titles and numbers of merged PRs reach the model.
+ * Commit messages are redacted like diffs before they are sent.
+ * @param {string} aiProvider - AI provider name
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object} [options] - Generation options
+ * @param {string} [options.from] - Exclusive start of the range (defaults to the latest tag)
+ * @param {string} [options.to] - Inclusive end of the range (default HEAD)
+ * @param {string} [options.version] - Version of the section (default "Unreleased")
+ * @param {string} [options.date] - Release date (defaults to today for versioned sections)
+ * @param {function(string): void} [options.onToken] - Stream the section, calling this with each fragment
+ * @param {object} [options.providerSettings] - Provider settings such as BASE_URL
+ * @param {number} [options.timeout] - Timeout of each AI request in milliseconds (default 120000)
+ * @param {number} [options.maxRetries] - Retries after rate limits, server errors and timeouts (default 3)
+ * @param {{provider: string, model: string, apiKey: string, settings?: object}[]} [options.fallbacks] - Providers to try, in order, when the configured one fails
+ * @param {function(object): void} [options.onUsage] - Called after each AI request with
+ *   {provider, model, promptTokens, completionTokens, estimated}
+ * @returns {Promise<string|null>} Markdown section, or null if the range is empty or generation failed
+ */
+async function generateChangelog(aiProvider, apiKey, model, options = {}) {
+  const to = options.to || 'HEAD';
+  // Releasing a tag summarizes everything since the tag before it
+  const latestTag = options.from ? null : getLatestTag(to);
+  const from = options.from || (latestTag === to ? getLatestTag(`${to}^`) : latestTag);
+  const version = options.version || UNRELEASED;
+  const date = version === UNRELEASED ? '' : (options.date || new Date().toISOString().slice(0, 10));
+
+  const commits = getCommits(from, to);
+  if (commits.length === 0) {
+    console.error(`❌ There are no commits in ${from ? `${from}..${to}` : to}.`);
+    return null;
+  }
+  console.log(`🔄 Summarizing ${commits.length} commit(s) in ${from ? `${from}..${to}` : to}...`);
+
+  const findings = [];
+  const redactedCommits = commits.map((commit) => {
+    const subject = redactText(commit.subject);
+    const body = redactText(commit.body);
+    findings.push(...subject.findings, ...body.findings);
+    return { hash: commit.hash, subject: subject.text, body: body.text };
+  });
+  if (findings.length > 0) {
+    console.log(`🔒 Redacted from commit messages: ${summarizeFindings(findings)}`);
+  }
+
+  const promptBudget = getContextLimit(aiProvider, model) - MAX_OUTPUT_TOKENS - estimateTokens(buildChangelogPrompt({ commits: '', version, date }));
+  const { log, dropped } = formatCommitLog(redactedCommits, promptBudget);
+  if (dropped > 0) {
+    console.log(`📦 Left out the ${dropped} oldest commit(s) to fit the context of ${model}.`);
+  }
+
+  const messages = buildMessages(
+    buildChangelogPrompt({ commits: log, version, date }),
+    'Please write the changelog section for these commits.'
+  );
+  const candidates = [
+    { provider: aiProvider, model, apiKey, settings: options.providerSettings },
+    ...(options.fallbacks || []),
+  ];
+
+  const text = await requestWithFallbacks(candidates, messages, {
+    onToken: options.onToken,
+    onUsage: options.onUsage,
+    timeout: options.timeout,
+    maxRetries: options.maxRetries,
+  });
+  if (options.onToken && text) {
+    console.log('\n'); // Finish the streamed output before logging again
+  }
+  const section = text && text.trim().replace(/^```(?:markdown|md)?\s*\n?/i, '').replace(/\n?```$/, '').trim();
+  if (!section) {
+    console.error('❌ Could not generate the changelog from AI.');
+    return null;
+  }
+  return section;
+}
+
+/**
+ * Add a section to a changelog file
+ * A section with the same version (e.g. "## [Unreleased]") is replaced; otherwise the
+ * section goes above the newest release. A missing file is created with the standard header.
+ * @param {string} file - Path of the changelog
+ * @param {string} section - Markdown section starting with its "## " heading
+ */
+function writeChangelogSection(file, section) {
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, `${CHANGELOG_HEADER}\n${section}\n`);
+    return;
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const sectionLines = [...section.split('\n'), ''];
+  const heading = sectionLines[0].trim();
+  // Compare headings by version only, "## [1.2.0] - 2024-01-01" matches "## [1.2.0]"
+  const versionOf = line => (line.match(/^##\s+\[?([^\]\s]+)\]?/) || [])[1];
+
+  const existing = lines.findIndex(line => line.startsWith('## ') && versionOf(line) === versionOf(heading));
+  if (existing !== -1) {
+    const next = lines.findIndex((line, index) => index > existing && line.startsWith('## '));
+    lines.splice(existing, (next === -1 ? lines.length : next) - existing, ...sectionLines);
+  } else {
+    // Releases go below the Unreleased section, above the newest release
+    const first = lines.findIndex(line => line.startsWith('## ') && versionOf(line) !== UNRELEASED);
+    if (first === -1) {
+      lines.push(...(lines[lines.length - 1] === '' ? [] : ['']), ...sectionLines);
+    } else {
+      lines.splice(first, 0, ...sectionLines);
+    }
+  }
+
+  fs.writeFileSync(file, `${lines.join('\n').replace(/\n+$/, '')}\n`);
+}
+
+module.exports = {
+  UNRELEASED,
+  parseCommitRange,
+  formatCommitLog,
+  generateChangelog,
+  writeChangelogSection
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+
+// Exit codes of `pra ci`, so pipelines can tell failures apart
+const CI_EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  CONFIG: 2,
+  NO_PR: 3,
+  GENERATION_FAILED: 4,
+  UPDATE_FAILED: 5,
+};
+
+// Emoji and the variation selector that follows some of them
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]️?\s*/gu;
+
+/**
+ * Read the event payload of a GitHub or Gitea Actions run
+ * @param {string} [eventPath] - Value of GITHUB_EVENT_PATH
+ * @returns {object} Event payload, empty if it cannot be read
+ */
+function readEvent(eventPath) {
+  try {
+    return eventPath ? JSON.parse(fs.readFileSync(eventPath, 'utf8')) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Detect the CI system and the pull request it runs for
+ * Supports GitHub Actions, Gitea/Forgejo Actions, GitLab CI merge request pipelines
+ * and Bitbucket Pipelines. Values missing from the environment are null.
+ * @param {object} [env] - Environment variables
+ * @returns {{system: string, hostType: string, number: number|null, base: string|null, head: string|null, apiUrl: string|null}|null}
+ *   CI context, or null outside a supported CI system
+ */
+function detectCIContext(env = process.env) {
+  if (env.GITHUB_ACTIONS === 'true') {
+    const pr = readEvent(env.GITHUB_EVENT_PATH).pull_request || {};
+    const gitea = env.GITEA_ACTIONS === 'true' || env.FORGEJO_ACTIONS === 'true';
+    return {
+      system: gitea ? 'Gitea Actions' : 'GitHub Actions',
+      hostType: gitea ? 'gitea' : 'github',
+      number: pr.number || null,
+      base: env.GITHUB_BASE_REF || pr.base?.ref || null,
+      head: env.GITHUB_HEAD_REF || pr.head?.ref || null,
+      apiUrl: gitea ? (env.GITHUB_API_URL || (env.GITHUB_SERVER_URL ? `${env.GITHUB_SERVER_URL}/api/v1` : null)) : (env.GITHUB_API_URL || null),
+    };
+  }
+
+  if (env.GITLAB_CI === 'true') {
+    return {
+      system: 'GitLab CI',
+      hostType: 'gitlab',
+      number: Number(env.CI_MERGE_REQUEST_IID) || null,
+      base: env.CI_MERGE_REQUEST_TARGET_BRANCH_NAME || null,
+      head: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME || null,
+      apiUrl: env.CI_API_V4_URL || null,
+    };
+  }
+
+  if (env.BITBUCKET_BUILD_NUMBER) {
+    return {
+      system: 'Bitbucket Pipelines',
+      hostType: 'bitbucket',
+      number: Number(env.BITBUCKET_PR_ID) || null,
+      base: env.BITBUCKET_PR_DESTINATION_BRANCH || null,
+      head: env.BITBUCKET_BRANCH || null,
+      apiUrl: null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Remove emoji from a log line
+ * @param {string} text - Log line
+ * @returns {string} Plain text
+ */
+function stripEmoji(text) {
+  return text.replace(EMOJI_PATTERN, '');
+}
+
+/**
+ * Send all console output to stderr as plain text
+ * Keeps stdout free for the JSON result and CI logs free of emoji.
+ * @param {object} [target] - Console to patch
+ */
+function usePlainLogs(target = console) {
+  const write = (...args) => {
+    const line = args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+    process.stderr.write(`${stripEmoji(line)}\n`);
+  };
+  ['log', 'info', 'warn', 'error'].forEach((method) => {
+    target[method] = write;
+  });
+}
+
+/**
+ * Write step outputs for GitHub and Gitea Actions (GITHUB_OUTPUT)
+ * Multi-line values use the heredoc syntax with a random delimiter.
+ * @param {object} outputs - Output names and values
+ * @param {object} [env] - Environment variables
+ * @returns {boolean} True if the outputs were written
+ */
+function writeStepOutputs(outputs, env = process.env) {
+  if (!env.GITHUB_OUTPUT) {
+    return false;
+  }
+  const lines = Object.entries(outputs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const text = String(value);
+      if (!text.includes('\n')) {
+        return `${name}=${text}\n`;
+      }
+      const delimiter = `pra_${Math.random().toString(36).slice(2)}`;
+      return `${name}<<${delimiter}\n${text}\n${delimiter}\n`;
+    });
+  fs.appendFileSync(env.GITHUB_OUTPUT, lines.join(''));
+  return true;
+}
+
+module.exports = {
+  CI_EXIT_CODES,
+  detectCIContext,
+  stripEmoji,
+  usePlainLogs,
+  writeStepOutputs
+};
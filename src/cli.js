@@ -1,19 +1,73 @@
 #!/usr/bin/env node
 
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
 const { Command } = require('commander');
-const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ConfigManager = require('./config');
-const { getAvailableProviders, getProviderNames, isValidProvider } = require('./ai-providers');
-const { generatePRDetails, createPR, getChangedFiles, checkDependencies, cleanup } = require('./pr-generator');
+const { getAvailableProviders, getProviderNames, isValidProvider, requiresApiKey } = require('./ai-providers');
+const { TONES, DETAIL_LEVELS, loadPromptTemplate, parseLanguages } = require('./prompts');
+const { DIFF_SOURCES, getRepoRoot, getCurrentBranch, getRemoteUrl, resolveDiffSource, getChangedFileEntries, describeFileStatus } = require('./git');
+const { isSecretKey, maskSecret, SECRET_STORE_TYPES } = require('./secret-store');
+const { detectPRHostType, getHostToken, getPRHostTypes, parseRemoteUrl } = require('./pr-hosts');
+const { getCodeOwners } = require('./pr-metadata');
+const { generatePRDetails, createPR, updatePR, findExistingPR, resolveBase, checkDependencies, cleanup } = require('./pr-generator');
+const { generateCommitMessage } = require('./commit-message');
+const { parseCommitRange, generateChangelog, writeChangelogSection } = require('./changelog');
+const { HOOK_TYPES, installHook, uninstallHook, shouldDraftCommitMessage, writeCommitMessage, parsePushedRefs } = require('./hooks');
+const { CI_EXIT_CODES, detectCIContext, usePlainLogs, writeStepOutputs } = require('./ci');
+const { createResponseCache } = require('./response-cache');
+const { createUsageTracker, readUsageLog, summarizeUsage, formatUsage } = require('./usage');
 
 const program = new Command();
-const config = new ConfigManager();
+const config = new ConfigManager({ getPassphrase: promptPassphrase });
 
-// Set up environment variables from config
-function setupEnvVars() {
-  const envVars = config.getEnvVars();
-  Object.assign(process.env, envVars);
+// inquirer 9 is an ES module, so load it with import() rather than require()
+async function prompt(questions) {
+  const { default: inquirer } = await import('inquirer');
+  return inquirer.prompt(questions);
+}
+
+// Ask for the passphrase of the encrypted secrets file
+async function promptPassphrase({ create }) {
+  if (!process.stdin.isTTY) {
+    throw new Error('The secrets file needs a passphrase. Set PRA_PASSPHRASE in non-interactive environments.');
+  }
+  const { passphrase } = await prompt([{
+    type: 'password',
+    name: 'passphrase',
+    mask: '*',
+    message: create ? 'Choose a passphrase to encrypt your API keys:' : 'Passphrase for your API keys:',
+    validate: input => Boolean(input) || 'Passphrase is required'
+  }]);
+  if (create) {
+    const { confirmation } = await prompt([{
+      type: 'password',
+      name: 'confirmation',
+      mask: '*',
+      message: 'Repeat the passphrase:'
+    }]);
+    if (confirmation !== passphrase) {
+      throw new Error('Passphrases do not match.');
+    }
+  }
+  return passphrase;
+}
+
+// Open the secret store, exiting on a wrong passphrase
+async function unlockSecrets(options) {
+  try {
+    await config.unlockSecrets(options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Format a configuration value for display, masking secrets
+function displayValue(key, value) {
+  return isSecretKey(key) ? maskSecret(value) : value;
 }
 
 // Configuration commands
@@ -25,17 +79,31 @@ program
 program
   .command('config')
   .description('Configure AI provider settings')
-  .argument('[key]', 'Configuration key (AI_PROVIDER, API_KEY, MODEL)')
+  .argument('[key]', 'Configuration key (AI_PROVIDER, API_KEY, MODEL, or a provider setting such as BASE_URL, AZURE_ENDPOINT)')
   .argument('[value]', 'Configuration value')
-  .action(async (key, value) => {
-    if (!key) {
+  .option('--show-origin', 'Show where each value comes from (default, global file, project file, environment)')
+  .option('-p, --provider <name>', 'Provider an API_KEY belongs to (defaults to the current provider)')
+  .action(async (key, value, options) => {
+    if (options.provider && !isValidProvider(options.provider)) {
+      console.log(chalk.red(`Invalid AI provider: ${options.provider}`));
+      console.log(chalk.yellow('Available providers:'), getProviderNames().join(', '));
+      return;
+    }
+    if (!key || options.showOrigin || isSecretKey(key)) {
+      await unlockSecrets({ create: Boolean(value) && isSecretKey(key) });
+    }
+    config.setOverrides({ AI_PROVIDER: options.provider });
+
+    if (options.showOrigin) {
+      showConfigOrigins(key);
+    } else if (!key) {
       // Interactive configuration
       await interactiveConfig();
     } else if (!value) {
       // Show specific config value
       const configValue = config.get(key);
       if (configValue) {
-        console.log(chalk.green(`${key}: ${configValue}`));
+        console.log(chalk.green(`${key}: ${displayValue(key, configValue)}`));
       } else {
         console.log(chalk.red(`Configuration key "${key}" not found.`));
       }
@@ -46,8 +114,63 @@ program
         console.log(chalk.yellow('Available providers:'), getProviderNames().join(', '));
         return;
       }
-      config.set(key, value);
-      console.log(chalk.green(`✅ ${key} set to: ${value}`));
+      if (key === 'PR_HOST' && !getPRHostTypes().includes(value)) {
+        console.log(chalk.red(`Invalid PR host: ${value}`));
+        console.log(chalk.yellow('Available PR hosts:'), getPRHostTypes().join(', '));
+        return;
+      }
+      if (key === 'DIFF_SOURCE' && !DIFF_SOURCES.includes(value)) {
+        console.log(chalk.red(`Invalid diff source: ${value}`));
+        console.log(chalk.yellow('Available diff sources:'), DIFF_SOURCES.join(', '));
+        return;
+      }
+      if (key === 'TONE' && !TONES.includes(value)) {
+        console.log(chalk.red(`Invalid tone: ${value}`));
+        console.log(chalk.yellow('Available tones:'), TONES.join(', '));
+        return;
+      }
+      if (key === 'DETAIL_LEVEL' && !DETAIL_LEVELS.includes(value)) {
+        console.log(chalk.red(`Invalid detail level: ${value}`));
+        console.log(chalk.yellow('Available detail levels:'), DETAIL_LEVELS.join(', '));
+        return;
+      }
+      if (key === 'LANGUAGE') {
+        try {
+          parseLanguages(value);
+        } catch (error) {
+          console.log(chalk.red(error.message));
+          return;
+        }
+      }
+      if (key === 'SECRET_STORE' && !SECRET_STORE_TYPES.includes(value)) {
+        console.log(chalk.red(`Invalid secret store: ${value}`));
+        console.log(chalk.yellow('Available secret stores:'), SECRET_STORE_TYPES.join(', '));
+        return;
+      }
+      if (['AI_TIMEOUT', 'AI_MAX_RETRIES', 'CACHE_MAX_AGE_DAYS', 'CACHE_MAX_SIZE_MB'].includes(key) && !/^\d+$/.test(value)) {
+        console.log(chalk.red(`${key} must be a whole number, got: ${value}`));
+        return;
+      }
+      if (key === 'AI_FALLBACKS') {
+        const unknown = value.split(',').map(entry => entry.trim().split(':')[0]).filter(provider => provider && !isValidProvider(provider));
+        if (unknown.length > 0) {
+          console.log(chalk.red(`Invalid AI provider in AI_FALLBACKS: ${unknown.join(', ')}`));
+          console.log(chalk.yellow('Available providers:'), getProviderNames().join(', '));
+          return;
+        }
+      }
+      try {
+        config.set(key, value);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      const scope = key === 'API_KEY' ? ` for ${config.get('AI_PROVIDER')}` : '';
+      console.log(chalk.green(`✅ ${key}${scope} set to: ${displayValue(key, value)}`));
+      const origin = config.getOrigin(key);
+      if (!['global', 'secret'].includes(origin.source)) {
+        console.log(chalk.yellow(`⚠️ ${key} is overridden by ${origin.location}`));
+      }
     }
   });
 
@@ -66,25 +189,171 @@ program
     });
   });
 
+const profileCommand = program
+  .command('profile')
+  .description('Manage named configuration profiles (provider, model and settings)');
+
+profileCommand
+  .command('add')
+  .description('Create or update a profile; without settings it saves the current provider and model')
+  .argument('<name>', 'Profile name')
+  .argument('[settings...]', 'Settings as KEY=VALUE pairs')
+  .option('-p, --provider <name>', 'AI provider of the profile')
+  .option('-m, --model <name>', 'Model of the profile')
+  .option('--use', 'Make the profile the active one')
+  .action((name, settings, options) => {
+    const values = {};
+    settings.forEach((setting) => {
+      const [key, ...valueParts] = setting.split('=');
+      if (!key || valueParts.length === 0) {
+        console.error(chalk.red(`❌ Expected KEY=VALUE, got "${setting}"`));
+        process.exit(1);
+      }
+      values[key.trim().toUpperCase()] = valueParts.join('=').trim();
+    });
+    if (options.provider) values.AI_PROVIDER = options.provider;
+    if (options.model) values.MODEL = options.model;
+    if (Object.keys(values).length === 0 && !config.getProfile(name)) {
+      values.AI_PROVIDER = config.get('AI_PROVIDER');
+      values.MODEL = config.get('MODEL');
+    }
+
+    if (values.AI_PROVIDER && !isValidProvider(values.AI_PROVIDER)) {
+      console.error(chalk.red(`❌ Invalid AI provider: ${values.AI_PROVIDER}`));
+      console.log(chalk.yellow('Available providers:'), getProviderNames().join(', '));
+      process.exit(1);
+    }
+
+    try {
+      config.saveProfile(name, values);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Profile "${name}" saved to ${config.getProfilePath(name)}`));
+    if (options.use) {
+      config.set('PROFILE', name);
+      console.log(chalk.green(`✅ Using profile "${name}"`));
+    }
+  });
+
+profileCommand
+  .command('use')
+  .description('Activate a profile; without a name, go back to the plain configuration')
+  .argument('[name]', 'Profile name')
+  .action((name) => {
+    if (!name) {
+      config.delete('PROFILE');
+      console.log(chalk.green('✅ No profile active'));
+    } else if (!config.getProfile(name)) {
+      console.error(chalk.red(`❌ Profile "${name}" not found. Available profiles: ${config.listProfiles().join(', ') || 'none'}`));
+      process.exit(1);
+    } else {
+      config.set('PROFILE', name);
+      console.log(chalk.green(`✅ Using profile "${name}"`));
+    }
+    const origin = config.getOrigin('PROFILE');
+    if (origin && origin.source !== 'global') {
+      console.log(chalk.yellow(`⚠️ The active profile is "${config.getActiveProfile()}", set by ${origin.location}`));
+    }
+  });
+
+profileCommand
+  .command('list')
+  .description('List profiles')
+  .action(() => {
+    const profiles = config.listProfiles();
+    if (profiles.length === 0) {
+      console.log(chalk.gray('No profiles. Create one with "pra profile add <name>".'));
+      return;
+    }
+    const activeProfile = config.getActiveProfile();
+    profiles.forEach((name) => {
+      const profile = config.getProfile(name);
+      const marker = name === activeProfile ? chalk.green('*') : ' ';
+      const summary = [profile.AI_PROVIDER, profile.MODEL].filter(Boolean).join(' / ');
+      console.log(`${marker} ${chalk.cyan(name)}  ${chalk.gray(summary)}`);
+    });
+  });
+
+profileCommand
+  .command('remove')
+  .description('Delete a profile')
+  .argument('<name>', 'Profile name')
+  .action((name) => {
+    if (!config.removeProfile(name)) {
+      console.error(chalk.red(`❌ Profile "${name}" not found.`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Profile "${name}" removed`));
+  });
+
 program
   .command('status')
   .description('Show current configuration status')
-  .action(() => {
+  .action(async () => {
+    await unlockSecrets();
     const allConfig = config.getAll();
     const providers = getAvailableProviders();
     
     console.log(chalk.blue('📋 Configuration Status:\n'));
+    const activeProfile = config.getActiveProfile();
+    if (activeProfile) {
+      const profileState = config.getProfile(activeProfile) ? config.getOrigin('PROFILE').location : '❌ not found';
+      console.log(`Profile: ${chalk.cyan(activeProfile)} ${chalk.gray(`(${profileState})`)}`);
+    } else {
+      console.log(`Profile: ${chalk.gray('none')}`);
+    }
+    const otherProfiles = config.listProfiles().filter(name => name !== activeProfile);
+    if (otherProfiles.length > 0) {
+      console.log(`Other Profiles: ${chalk.gray(otherProfiles.join(', '))}`);
+    }
     console.log(`AI Provider: ${chalk.cyan(allConfig.AI_PROVIDER)}`);
     console.log(`Model: ${chalk.cyan(allConfig.MODEL)}`);
-    console.log(`API Key: ${allConfig.API_KEY ? chalk.green('✅ Set') : chalk.red('❌ Not set')}`);
+    if (allConfig.API_KEY) {
+      const origin = config.getOrigin('API_KEY');
+      console.log(`API Key: ${chalk.green(`✅ Set (${maskSecret(allConfig.API_KEY)}, ${origin.location})`)}`);
+    } else if (!requiresApiKey(allConfig.AI_PROVIDER)) {
+      console.log(`API Key: ${chalk.gray('Not required')}`);
+    } else {
+      console.log(`API Key: ${chalk.red('❌ Not set')}`);
+    }
+    
+    try {
+      const fallbacks = config.getFallbacks();
+      if (fallbacks.length > 0) {
+        console.log(`Fallbacks: ${chalk.cyan(fallbacks.map(({ provider, model }) => `${provider} (${model})`).join(' → '))}`);
+      }
+    } catch (error) {
+      console.log(`Fallbacks: ${chalk.red(error.message)}`);
+    }
     
     if (allConfig.AI_PROVIDER && providers[allConfig.AI_PROVIDER]) {
       const provider = providers[allConfig.AI_PROVIDER];
       console.log(`Provider Name: ${chalk.cyan(provider.name)}`);
       console.log(`Provider Description: ${chalk.gray(provider.description)}`);
+      Object.entries(config.getProviderSettings()).forEach(([key, value]) => {
+        console.log(`${key}: ${value ? chalk.cyan(value) : chalk.red('❌ Not set')}`);
+      });
+    }
+    
+    try {
+      const hostOptions = buildHostOptions();
+      const hasToken = Boolean(getHostToken(hostOptions.type, hostOptions.token));
+      const hostMode = hasToken ? 'REST API, token set' : (hostOptions.type === 'github' ? 'GitHub CLI' : '❌ token not set');
+      console.log(`PR Host: ${chalk.cyan(`${hostOptions.type} (${hostMode})`)}`);
+    } catch (error) {
+      console.log(`PR Host: ${chalk.red(error.message)}`);
     }
     
     console.log(`\nConfiguration file: ${chalk.gray(config.getConfigPath())}`);
+    if (config.getProjectConfigPath()) {
+      console.log(`Project configuration: ${chalk.gray(config.getProjectConfigPath())}`);
+    }
+    const plaintextKeys = config.getPlaintextSecretKeys();
+    if (plaintextKeys.length > 0) {
+      console.log(chalk.yellow(`⚠️ ${plaintextKeys.join(', ')} stored in plain text. Run "pra config <key> <value>" to move them to the secret store.`));
+    }
     
     if (config.isComplete()) {
       console.log(chalk.green('\n✅ Configuration is complete and ready to use!'));
@@ -97,66 +366,967 @@ program
   .command('create')
   .description('Create a Pull Request with AI-generated description')
   .option('-d, --dry-run', 'Generate PR description without creating the PR')
-  .action(async (options) => {
-    setupEnvVars();
-    
-    // Check dependencies
-    if (!checkDependencies()) {
-      console.error(chalk.red('❌ Missing critical dependencies. Please ensure Git and GitHub CLI (gh) are installed.'));
+  .option('-y, --yes', 'Create the PR without reviewing the description first')
+  .option('-b, --base <branch>', 'Base branch to compare against (defaults to the remote\'s default branch)')
+  .option('-r, --remote <name>', 'Remote that holds the base branch', 'origin')
+  .option('--diff-source <mode>', `Changes to describe: ${DIFF_SOURCES.join(', ')} (default committed)`)
+  .option('--range <range>', 'Describe a commit range (A..B) instead of the whole branch')
+  .option('-P, --profile <name>', 'Configuration profile to use for this run')
+  .option('-p, --provider <name>', 'AI provider to use instead of the configured one')
+  .option('-m, --model <name>', 'Model to use instead of the configured one')
+  .option('--no-stream', 'Wait for the complete response instead of streaming it to the terminal')
+  .option('-t, --template <path>', 'Prompt template to use instead of the configured one')
+  .option('--use-pr-template', 'Fill in the repository\'s pull request template')
+  .option('--language <languages>', 'Language of the description (e.g. ja, German), or two separated by a comma for a bilingual body (e.g. en,zh)')
+  .option('--tone <tone>', `Tone of the description: ${TONES.join(', ')}`)
+  .option('--detail-level <level>', `Length of the description: ${DETAIL_LEVELS.join(', ')}`)
+  .option('--no-link-issues', 'Do not detect and link issues and tickets from the branch name and commits')
+  .option('--show-payload', 'Print exactly what would be sent to the AI provider, without sending it')
+  .option('--no-cache', 'Generate a new description instead of reusing the cached one')
+  .option('--draft', 'Open the PR as a draft')
+  .option('-l, --label <name>', 'Add a label (repeatable or comma-separated)', collectList, [])
+  .option('--reviewer <user>', 'Request a review from a user or org/team (repeatable or comma-separated)', collectList, [])
+  .option('--assignee <user>', 'Assign a user (repeatable or comma-separated)', collectList, [])
+  .option('--milestone <title>', 'Add the PR to a milestone')
+  .option('--no-auto-labels', 'Do not pick labels from the repository\'s label set')
+  .option('--no-auto-reviewers', 'Do not request reviews from the CODEOWNERS of the changed files')
+  .option('-u, --update-existing', 'Update the branch\'s open PR if one already exists')
+  .option('--no-preserve', 'Do not keep <!-- pra:keep --> sections when updating an existing PR')
+  .action((options) => runPRWorkflow(options));
+
+program
+  .command('update')
+  .description('Regenerate the description of the current branch\'s open Pull Request')
+  .option('-d, --dry-run', 'Generate PR description without updating the PR')
+  .option('-y, --yes', 'Update the PR without reviewing the description first')
+  .option('-b, --base <branch>', 'Base branch to compare against (defaults to the remote\'s default branch)')
+  .option('-r, --remote <name>', 'Remote that holds the base branch', 'origin')
+  .option('--diff-source <mode>', `Changes to describe: ${DIFF_SOURCES.join(', ')} (default committed)`)
+  .option('--range <range>', 'Describe a commit range (A..B) instead of the whole branch')
+  .option('-P, --profile <name>', 'Configuration profile to use for this run')
+  .option('-p, --provider <name>', 'AI provider to use instead of the configured one')
+  .option('-m, --model <name>', 'Model to use instead of the configured one')
+  .option('--no-stream', 'Wait for the complete response instead of streaming it to the terminal')
+  .option('-t, --template <path>', 'Prompt template to use instead of the configured one')
+  .option('--use-pr-template', 'Fill in the repository\'s pull request template')
+  .option('--language <languages>', 'Language of the description (e.g. ja, German), or two separated by a comma for a bilingual body (e.g. en,zh)')
+  .option('--tone <tone>', `Tone of the description: ${TONES.join(', ')}`)
+  .option('--detail-level <level>', `Length of the description: ${DETAIL_LEVELS.join(', ')}`)
+  .option('--no-link-issues', 'Do not detect and link issues and tickets from the branch name and commits')
+  .option('--show-payload', 'Print exactly what would be sent to the AI provider, without sending it')
+  .option('--no-cache', 'Generate a new description instead of reusing the cached one')
+  .option('--no-preserve', 'Overwrite <!-- pra:keep --> sections instead of keeping them')
+  .action((options) => runPRWorkflow(options, { update: true }));
+
+program
+  .command('commit')
+  .description('Commit the staged changes with an AI-generated conventional commit message')
+  .option('-d, --dry-run', 'Print the commit message without committing')
+  .option('-y, --yes', 'Commit without reviewing the message first')
+  .option('-P, --profile <name>', 'Configuration profile to use for this run')
+  .option('-p, --provider <name>', 'AI provider to use instead of the configured one')
+  .option('-m, --model <name>', 'Model to use instead of the configured one')
+  .option('--no-stream', 'Wait for the complete response instead of streaming it to the terminal')
+  .option('-n, --no-verify', 'Skip the pre-commit and commit-msg hooks')
+  .action(runCommitWorkflow);
+
+program
+  .command('changelog [range]')
+  .description('Summarize a range of commits (default: since the latest tag) into a Keep a Changelog section')
+  .option('--from <ref>', 'Start of the range, exclusive (defaults to the latest tag)')
+  .option('--to <ref>', 'End of the range', 'HEAD')
+  .option('--release <version>', 'Version of the section, e.g. 1.2.0', 'Unreleased')
+  .option('--date <date>', 'Release date of the section (defaults to today)')
+  .option('-w, --write [file]', 'Add the section to a changelog file instead of printing it (default CHANGELOG.md)')
+  .option('-P, --profile <name>', 'Configuration profile to use for this run')
+  .option('-p, --provider <name>', 'AI provider to use instead of the configured one')
+  .option('-m, --model <name>', 'Model to use instead of the configured one')
+  .option('--no-stream', 'Wait for the complete response instead of streaming it to the terminal')
+  .action(runChangelogWorkflow);
+
+const hookCommand = program
+  .command('hook')
+  .description(`Manage git hooks that draft commit messages and PR descriptions (${HOOK_TYPES.join(', ')})`);
+
+hookCommand
+  .command('install')
+  .description('Install a hook: prepare-commit-msg drafts the message of "git commit", pre-push refreshes the open PR\'s description')
+  .argument('[types...]', `Hooks to install (${HOOK_TYPES.join(', ')})`, ['prepare-commit-msg'])
+  .option('-f, --force', 'Replace existing hooks, keeping them as <hook>.pra-backup')
+  .action((types, options) => {
+    try {
+      types.forEach((type) => {
+        const { path: hookPath, backup } = installHook(type, options);
+        if (backup) {
+          console.log(chalk.yellow(`⚠️ Moved the existing ${type} hook to ${backup}`));
+        }
+        console.log(chalk.green(`✅ Installed the ${type} hook: ${hookPath}`));
+      });
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
       process.exit(1);
     }
-    
-    // Check configuration
-    if (!config.isComplete()) {
-      console.error(chalk.red('❌ Configuration is incomplete. Please run "pra config" to set up.'));
+  });
+
+hookCommand
+  .command('uninstall')
+  .description('Remove hooks installed by pra, restoring the hooks they replaced')
+  .argument('[types...]', `Hooks to remove (${HOOK_TYPES.join(', ')})`, HOOK_TYPES)
+  .action((types) => {
+    try {
+      types.forEach((type) => {
+        const removed = uninstallHook(type);
+        if (!removed) {
+          console.log(chalk.gray(`No pra ${type} hook is installed.`));
+          return;
+        }
+        console.log(chalk.green(`✅ Removed the ${type} hook${removed.restored ? ' and restored the previous one' : ''}`));
+      });
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Called by the installed hook scripts with git's hook arguments
+hookCommand
+  .command('run', { hidden: true })
+  .argument('<type>', 'Hook type')
+  .argument('[args...]', 'Arguments git passed to the hook')
+  .action(async (type, args) => {
+    if (type === 'prepare-commit-msg') {
+      await runPrepareCommitMsgHook(...args);
+    } else if (type === 'pre-push') {
+      await runPrePushHook(...args);
+    } else {
+      console.error(chalk.red(`❌ Unknown hook "${type}".`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ci')
+  .description('Update the open PR\'s description from a CI pipeline (GitHub Actions, GitLab CI, Gitea Actions, Bitbucket Pipelines), printing the result as JSON')
+  .option('-d, --dry-run', 'Generate the description without updating the PR')
+  .option('-b, --base <branch>', 'Base branch to compare against (defaults to the PR\'s target branch)')
+  .option('--head <branch>', 'Head branch of the PR (defaults to the branch from the CI environment)')
+  .option('-r, --remote <name>', 'Remote that holds the base branch', 'origin')
+  .option('-P, --profile <name>', 'Configuration profile to use for this run')
+  .option('-p, --provider <name>', 'AI provider to use instead of the configured one')
+  .option('-m, --model <name>', 'Model to use instead of the configured one')
+  .option('-t, --template <path>', 'Prompt template to use instead of the configured one')
+  .option('--use-pr-template', 'Fill in the repository\'s pull request template')
+  .option('--language <languages>', 'Language of the description (e.g. ja, German), or two separated by a comma for a bilingual body (e.g. en,zh)')
+  .option('--tone <tone>', `Tone of the description: ${TONES.join(', ')}`)
+  .option('--detail-level <level>', `Length of the description: ${DETAIL_LEVELS.join(', ')}`)
+  .option('--no-link-issues', 'Do not detect and link issues and tickets from the branch name and commits')
+  .option('--no-cache', 'Generate a new description instead of reusing the cached one')
+  .option('--no-preserve', 'Overwrite <!-- pra:keep --> sections instead of keeping them')
+  .action(runCIWorkflow);
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the cache of generated PR descriptions');
+
+cacheCommand
+  .command('stats')
+  .description('Show the number, size and age of cached descriptions')
+  .action(() => {
+    const cache = openResponseCache();
+    const stats = cache.stats();
+    console.log(chalk.cyan('Location:'), cache.dir);
+    console.log(chalk.cyan('Status:'), config.get('CACHE') === 'false' ? chalk.yellow('disabled (pra config CACHE true)') : chalk.green('enabled'));
+    console.log(chalk.cyan('Entries:'), `${stats.entries}${stats.expired > 0 ? ` (${stats.expired} expired)` : ''}`);
+    console.log(chalk.cyan('Size:'), `${(stats.size / 1024).toFixed(1)} KB of ${cache.maxSizeMB} MB`);
+    console.log(chalk.cyan('Requests saved:'), stats.hits);
+    if (stats.oldest) {
+      console.log(chalk.cyan('Oldest entry:'), new Date(stats.oldest).toLocaleString());
+      console.log(chalk.cyan('Newest entry:'), new Date(stats.newest).toLocaleString());
+    }
+    console.log(chalk.gray(`Entries expire after ${cache.maxAgeDays} day(s).`));
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove every cached description')
+  .action(() => {
+    const removed = openResponseCache().clear();
+    console.log(chalk.green(`✅ Removed ${removed} cached description(s)`));
+  });
+
+program
+  .command('usage')
+  .description('Summarize the tokens and estimated cost of AI requests per day and repository')
+  .option('--days <n>', 'Number of days to cover, including today', '30')
+  .option('--repo <name>', 'Only count this repository (owner/repo)')
+  .option('--json', 'Print the summary as JSON')
+  .action((options) => {
+    if (!/^[1-9]\d*$/.test(options.days)) {
+      console.error(chalk.red('❌ --days must be a positive whole number'));
+      process.exit(1);
+    }
+    const logFile = config.getUsageLogPath();
+    const days = Number(options.days);
+    const summary = summarizeUsage(readUsageLog(logFile), { days, repo: options.repo });
+
+    if (options.json) {
+      console.log(JSON.stringify({ days, repo: options.repo || null, ...summary }, null, 2));
+      return;
+    }
+    if (summary.total.requests === 0) {
+      console.log(chalk.yellow(`No AI requests recorded in the last ${days} day(s)${options.repo ? ` for ${options.repo}` : ''}.`));
+    } else {
+      console.log(chalk.cyan(`Per day (last ${days} day(s)):`));
+      summary.byDay.forEach(({ day, ...totals }) => console.log(`  ${day}  ${String(totals.requests).padStart(4)} request(s)  ${formatUsage(totals)}`));
+      console.log(chalk.cyan('\nPer repository:'));
+      const width = Math.max(...summary.byRepo.map(({ repo }) => repo.length));
+      summary.byRepo.forEach(({ repo, ...totals }) => console.log(`  ${repo.padEnd(width)}  ${String(totals.requests).padStart(4)} request(s)  ${formatUsage(totals)}`));
+      console.log(chalk.cyan('\nTotal:'), `${summary.total.requests} request(s), ${formatUsage(summary.total)}`);
+    }
+    console.log(chalk.gray(`Costs are estimates from list prices. Log: ${logFile}${config.get('USAGE_LOG') === 'false' ? ' (disabled, pra config USAGE_LOG true)' : ''}`));
+  });
+
+// Commander option parser for repeatable, comma-separated list options
+function collectList(value, previous) {
+  return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+// Build questions for provider-specific settings (e.g. BASE_URL), asked only for providers that use them
+function providerSettingQuestions(providers) {
+  const questions = {};
+
+  Object.entries(providers).forEach(([providerName, provider]) => {
+    (provider.settings || []).forEach((setting) => {
+      if (!questions[setting.key]) {
+        questions[setting.key] = { key: setting.key, byProvider: {} };
+      }
+      questions[setting.key].byProvider[providerName] = setting;
+    });
+  });
+
+  return Object.values(questions).map(({ key, byProvider }) => ({
+    type: 'input',
+    name: key,
+    when: (answers) => Boolean(byProvider[answers.AI_PROVIDER]),
+    message: (answers) => byProvider[answers.AI_PROVIDER].message,
+    default: (answers) => config.get(key) || byProvider[answers.AI_PROVIDER].default,
+    validate: (input, answers) => {
+      if (!input && byProvider[answers.AI_PROVIDER].required) return `${key} is required`;
+      return true;
+    }
+  }));
+}
+
+// Resolve the PR host (forge type, token, API root) from the configuration
+// (defaults detected from a CI environment: type, apiUrl and the head branch)
+function buildHostOptions(remote, defaults = {}) {
+  const type = detectPRHostType({ remote, type: config.get('PR_HOST') || defaults.type });
+  return {
+    remote,
+    type,
+    token: config.get(`${type.toUpperCase()}_TOKEN`),
+    apiUrl: config.get('PR_HOST_URL') || (type === 'github' ? config.get('GITHUB_API_URL') : '') || defaults.apiUrl || '',
+    branch: defaults.branch
+  };
+}
+
+// Apply --provider/--model and the description style flags on top of the configuration,
+// exiting with exitCode on invalid values
+function applyFlagOverrides(options, exitCode = 1) {
+  if (options.provider && !isValidProvider(options.provider)) {
+    console.error(chalk.red(`❌ Invalid AI provider: ${options.provider}`));
+    console.log(chalk.yellow('Available providers:'), getProviderNames().join(', '));
+    process.exit(exitCode);
+  }
+  if (options.tone && !TONES.includes(options.tone)) {
+    console.error(chalk.red(`❌ Invalid tone: ${options.tone}. Use one of: ${TONES.join(', ')}`));
+    process.exit(exitCode);
+  }
+  if (options.detailLevel && !DETAIL_LEVELS.includes(options.detailLevel)) {
+    console.error(chalk.red(`❌ Invalid detail level: ${options.detailLevel}. Use one of: ${DETAIL_LEVELS.join(', ')}`));
+    process.exit(exitCode);
+  }
+  try {
+    parseLanguages(options.language);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(exitCode);
+  }
+  // A configured model belongs to the configured provider, so fall back to the new provider's default
+  const model = options.model || (options.provider ? getAvailableProviders()[options.provider].defaultModel : undefined);
+  config.setOverrides({
+    PROFILE: options.profile,
+    AI_PROVIDER: options.provider,
+    MODEL: model,
+    LANGUAGE: options.language,
+    TONE: options.tone,
+    DETAIL_LEVEL: options.detailLevel
+  });
+
+  const profile = config.getActiveProfile();
+  if (profile && !config.getProfile(profile)) {
+    console.error(chalk.red(`❌ Profile "${profile}" (from ${config.getOrigin('PROFILE').location}) not found. Available profiles: ${config.listProfiles().join(', ') || 'none'}`));
+    process.exit(exitCode);
+  }
+}
+
+// Exit unless the AI provider is configured
+function requireCompleteConfig() {
+  if (!config.isComplete()) {
+    console.error(chalk.red('❌ Configuration is incomplete. Please run "pra config" to set up.'));
+    process.exit(1);
+  }
+}
+
+// Options shared by every AI request: provider settings, timeout, retries, fallbacks
+// and the usage tracker that records each request
+function aiRequestOptions(usage) {
+  const timeout = config.get('AI_TIMEOUT');
+  const maxRetries = config.get('AI_MAX_RETRIES');
+  return {
+    providerSettings: config.getProviderSettings(),
+    timeout: timeout ? Number(timeout) * 1000 : undefined,
+    maxRetries: maxRetries ? Number(maxRetries) : undefined,
+    fallbacks: config.getFallbacks(),
+    onUsage: usage ? (request => usage.record(request)) : undefined
+  };
+}
+
+// Name the current repository in the usage log: owner/repo of the remote, or the directory name
+function getUsageRepo() {
+  const remote = parseRemoteUrl(getRemoteUrl());
+  if (remote) {
+    return `${remote.owner}/${remote.repo}`;
+  }
+  try {
+    return path.basename(getRepoRoot());
+  } catch {
+    return null;
+  }
+}
+
+// Track the AI requests of a command, appending them to the usage log unless USAGE_LOG is false
+function trackUsage(command) {
+  return createUsageTracker({
+    logFile: config.get('USAGE_LOG') !== 'false' ? config.getUsageLogPath() : null,
+    command,
+    repo: getUsageRepo()
+  });
+}
+
+// Print the tokens and estimated cost of the AI requests a command made
+function printUsage(usage) {
+  const totals = usage.totals();
+  if (totals.requests > 0) {
+    console.log(chalk.gray(`📊 ${totals.requests} AI request(s): ${formatUsage(totals)}`));
+  }
+}
+
+// Open the response cache with the configured limits
+function openResponseCache() {
+  return createResponseCache({
+    dir: config.getCacheDir(),
+    maxAgeDays: Number(config.get('CACHE_MAX_AGE_DAYS')) || undefined,
+    maxSizeMB: Number(config.get('CACHE_MAX_SIZE_MB')) || undefined
+  });
+}
+
+// Create an onToken callback that prints the streamed response
+function streamToTerminal() {
+  let streamed = false;
+  return (text) => {
+    if (!streamed) {
+      streamed = true;
+      console.log(chalk.blue('\n📡 Streaming response:\n'));
+    }
+    process.stdout.write(chalk.gray(text));
+  };
+}
+
+// Options of generatePRDetails shared by create, update, ci and the pre-push hook
+function prGenerationOptions(options, { base, hostOptions, update = false, usage }) {
+  const promptTemplate = loadPromptTemplate({
+    templatePath: options.template,
+    configuredPath: config.get('PROMPT_TEMPLATE'),
+    repoRoot: getRepoRoot()
+  });
+  if (promptTemplate) {
+    console.log(chalk.blue(`📝 Using prompt template ${promptTemplate.source}`));
+  }
+
+  return {
+    ...aiRequestOptions(usage),
+    baseRef: base.ref,
+    promptTemplate: promptTemplate?.content,
+    usePRTemplate: options.usePrTemplate || config.get('USE_PR_TEMPLATE') === 'true',
+    structuredOutput: config.get('STRUCTURED_OUTPUT') !== 'false',
+    linkIssues: options.linkIssues !== false && config.get('LINK_ISSUES') !== 'false',
+    autoLabels: !update && options.autoLabels && config.get('AUTO_LABELS') !== 'false',
+    host: hostOptions,
+    ticketPattern: config.get('TICKET_PATTERN'),
+    ticketUrl: config.get('TICKET_URL'),
+    language: config.get('LANGUAGE'),
+    tone: config.get('TONE'),
+    detailLevel: config.get('DETAIL_LEVEL'),
+    cache: config.get('CACHE') !== 'false' ? openResponseCache() : null,
+    refreshCache: options.cache === false,
+    // Dry runs show what the requests will cost before sending them
+    estimate: Boolean(options.dryRun)
+  };
+}
+
+// Print every configuration value together with the layer it comes from
+function showConfigOrigins(key) {
+  const allConfig = config.getAll();
+  const keys = key ? [key] : Object.keys(allConfig).filter(name => allConfig[name]);
+
+  keys.forEach((name) => {
+    const origin = config.getOrigin(name);
+    if (!origin) {
+      console.log(chalk.red(`Configuration key "${name}" not found.`));
+      return;
+    }
+    console.log(`${chalk.cyan(name)}=${displayValue(name, config.get(name))}  ${chalk.gray(`(${origin.source}: ${origin.location})`)}`);
+  });
+}
+
+// Generate the PR description for the current branch, then create or update the PR
+async function runPRWorkflow(options, { update = false } = {}) {
+  applyFlagOverrides(options);
+  await unlockSecrets();
+
+  let hostOptions;
+  try {
+    hostOptions = buildHostOptions(options.remote);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const diffSource = options.diffSource || config.get('DIFF_SOURCE') || 'committed';
+  if (!DIFF_SOURCES.includes(diffSource)) {
+    console.error(chalk.red(`❌ Invalid diff source: ${diffSource}. Use one of: ${DIFF_SOURCES.join(', ')}`));
+    process.exit(1);
+  }
+  if (options.diffSource && options.range) {
+    console.error(chalk.red('❌ --diff-source and --range cannot be combined: a range describes committed changes only.'));
+    process.exit(1);
+  }
+
+  // Check dependencies
+  if (!checkDependencies(hostOptions)) {
+    console.error(chalk.red('❌ Missing critical dependencies. Please ensure Git is installed, and GitHub CLI (gh) unless GITHUB_TOKEN is set.'));
+    process.exit(1);
+  }
+  
+  // Check configuration
+  if (!config.isComplete()) {
+    console.error(chalk.red('❌ Configuration is incomplete. Please run "pra config" to set up.'));
+    process.exit(1);
+  }
+  
+  const usage = trackUsage(update ? 'update' : 'create');
+  try {
+    // Fail before spending an AI request when there is nothing to update
+    const existing = update || options.updateExisting ? await findExistingPR(hostOptions) : null;
+    if (update && !existing) {
+      console.error(chalk.red('❌ No open PR was found for this branch. Run "pra create" first.'));
       process.exit(1);
     }
+    if (existing && !update) {
+      console.log(chalk.blue(`ℹ️ PR #${existing.number} already exists for this branch, updating it instead.`));
+      update = true;
+    }
+
+    // An existing PR keeps its own target branch unless --base retargets it
+    const base = resolveBase({ base: options.base || (existing && existing.baseRefName), remote: options.remote });
+    const source = await resolveDiffSource({ baseRef: base.ref, mode: diffSource, range: options.range });
+    console.log(chalk.blue(`🔍 Detecting changed files in ${source.label}...`));
+    const entries = await getChangedFileEntries(source);
+    const files = entries.map(entry => entry.file);
     
-    try {
-      console.log(chalk.blue('🔍 Detecting changed files...'));
-      const files = getChangedFiles();
-      
-      if (files.length === 0) {
-        console.log(chalk.green('✅ No changes detected compared to origin/main. Nothing to do.'));
-        return;
+    if (files.length === 0) {
+      console.log(chalk.green(`✅ No changes detected in ${source.label}. Nothing to do.`));
+      return;
+    }
+    
+    console.log(chalk.cyan(`Detected ${files.length} changed file(s):`));
+    printChangedFiles(entries);
+
+    // Labels, reviewers and the rest are only set when a PR is created
+    const autoReviewers = !update && options.autoReviewers && config.get('AUTO_REVIEWERS') !== 'false';
+    const metadata = update ? {} : {
+      draft: options.draft || config.get('DRAFT') === 'true',
+      labels: options.label,
+      reviewers: [...new Set([...(autoReviewers ? getCodeOwners(getRepoRoot(), files) : []), ...options.reviewer])],
+      assignees: options.assignee,
+      milestone: options.milestone
+    };
+
+    const allConfig = config.getAll();
+    const generationOptions = prGenerationOptions(options, { base, hostOptions, update, usage });
+    const generate = (revision = {}) => generatePRDetails(
+      entries, 
+      allConfig.AI_PROVIDER, 
+      allConfig.API_KEY, 
+      allConfig.MODEL,
+      {
+        ...revision,
+        ...generationOptions,
+        diffSource: source.mode === 'range' ? undefined : source.mode,
+        range: options.range,
+        onToken: options.stream ? streamToTerminal() : undefined,
+        showPayload: options.showPayload
       }
-      
-      console.log(chalk.cyan(`Detected ${files.length} changed file(s):`));
-      files.forEach(file => console.log(chalk.gray(`  - ${file}`)));
-      
-      const allConfig = config.getAll();
-      const prDetails = await generatePRDetails(
-        files, 
-        allConfig.AI_PROVIDER, 
-        allConfig.API_KEY, 
-        allConfig.MODEL
-      );
-      
-      if (prDetails) {
+    );
+    
+    let prDetails = await generate();
+    printUsage(usage);
+    
+    if (options.showPayload) {
+      console.log(chalk.yellow('\n🔍 Payload shown - nothing was sent to the AI provider'));
+      return;
+    }
+    
+    if (prDetails) {
+      // Review interactively unless told not to or there is nobody to ask (CI)
+      const review = !options.dryRun && !options.yes && process.stdin.isTTY && process.stdout.isTTY;
+      if (review) {
+        prDetails = await reviewPRDetails(prDetails, generate, update ? null : metadata);
+        if (!prDetails) {
+          console.log(chalk.yellow(`\n🚫 Aborted - PR not ${update ? 'updated' : 'created'}`));
+          return;
+        }
+      } else {
         console.log(chalk.green('\n📝 Generated PR Details:'));
         console.log(chalk.cyan('Title:'), prDetails.title);
         console.log(chalk.cyan('Body Preview:'), prDetails.body.substring(0, 100) + '...');
-        
-        if (options.dryRun) {
-          console.log(chalk.yellow('\n🔍 Dry run mode - PR not created'));
-          console.log(chalk.cyan('Full PR Body:'));
-          console.log(prDetails.body);
-        } else {
-          createPR(prDetails);
+        if (!update) {
+          printPRMetadata(prDetails, metadata);
         }
-      } else {
-        console.error(chalk.red('❌ Failed to get PR content from AI. PR creation aborted.'));
-        process.exit(1);
       }
       
-    } catch (error) {
-      console.error(chalk.red(`❌ An unexpected error occurred: ${error.message}`));
+      if (options.dryRun) {
+        console.log(chalk.yellow(`\n🔍 Dry run mode - PR not ${update ? 'updated' : 'created'}`));
+        console.log(chalk.cyan('Full PR Body:'));
+        console.log(prDetails.body);
+      } else if (update) {
+        if (!await updatePR(prDetails, { ...hostOptions, base: options.base, preserveSections: options.preserve, existing })) {
+          process.exit(1);
+        }
+      } else {
+        if (!await createPR(prDetails, { ...hostOptions, ...metadata, base: base.branch, updateExisting: options.updateExisting, preserveSections: options.preserve })) {
+          process.exitCode = 1;
+        }
+      }
+    } else {
+      console.error(chalk.red(`❌ Failed to get PR content from AI. PR ${update ? 'update' : 'creation'} aborted.`));
       process.exit(1);
-    } finally {
-      cleanup();
     }
+    
+  } catch (error) {
+    console.error(chalk.red(`❌ An unexpected error occurred: ${error.message}`));
+    process.exit(1);
+  } finally {
+    cleanup();
+  }
+}
+
+// Generate a commit message for the staged changes, review it and commit
+async function runCommitWorkflow(options) {
+  applyFlagOverrides(options);
+  await unlockSecrets();
+  requireCompleteConfig();
+
+  const allConfig = config.getAll();
+  const usage = trackUsage('commit');
+  const generate = (revision = {}) => generateCommitMessage(allConfig.AI_PROVIDER, allConfig.API_KEY, allConfig.MODEL, {
+    ...revision,
+    ...aiRequestOptions(usage),
+    onToken: options.stream ? streamToTerminal() : undefined
   });
 
+  try {
+    let message = await generate();
+    printUsage(usage);
+    if (!message) {
+      process.exit(1);
+    }
+
+    const review = !options.dryRun && !options.yes && process.stdin.isTTY && process.stdout.isTTY;
+    if (review) {
+      message = await reviewCommitMessage(message, generate);
+      if (!message) {
+        console.log(chalk.yellow('\n🚫 Aborted - nothing was committed'));
+        return;
+      }
+    } else {
+      console.log(chalk.green('\n📝 Generated commit message:\n'));
+      console.log(message);
+      console.log('');
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.yellow('🔍 Dry run mode - nothing was committed'));
+      return;
+    }
+
+    // Let git print its summary and run the commit hooks as usual
+    execFileSync('git', ['commit', '-F', '-', ...(options.verify ? [] : ['--no-verify'])], {
+      input: `${message}\n`,
+      stdio: ['pipe', 'inherit', 'inherit']
+    });
+    console.log(chalk.green('✅ Committed'));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.status ? 'git commit failed' : `An unexpected error occurred: ${error.message}`}`));
+    process.exit(1);
+  }
+}
+
+// Let the user accept, edit, regenerate or abort the generated commit message
+async function reviewCommitMessage(initial, generate) {
+  let message = initial;
+
+  for (;;) {
+    console.log(chalk.green('\n📝 Generated commit message:\n'));
+    console.log(message);
+    console.log('');
+    const { action } = await prompt([{
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        { name: 'Commit', value: 'accept' },
+        { name: 'Edit in $EDITOR', value: 'edit' },
+        { name: 'Regenerate with instructions', value: 'regenerate' },
+        { name: 'Abort', value: 'abort' }
+      ]
+    }]);
+
+    if (action === 'accept') {
+      return message;
+    }
+    if (action === 'abort') {
+      return null;
+    }
+
+    if (action === 'edit') {
+      const { text } = await prompt([{
+        type: 'editor',
+        name: 'text',
+        message: 'Edit the commit message:',
+        default: `${message}\n`
+      }]);
+      if (!text.trim()) {
+        console.log(chalk.red('❌ The commit message cannot be empty, keeping the previous message.'));
+        continue;
+      }
+      message = text.trim();
+      continue;
+    }
+
+    const { instructions } = await prompt([{
+      type: 'input',
+      name: 'instructions',
+      message: 'How should the message change? (e.g. "use scope api", "mention the migration")',
+      validate: input => Boolean(input.trim()) || 'Please describe the change'
+    }]);
+    const regenerated = await generate({ instructions: instructions.trim(), previousDraft: message });
+    if (regenerated) {
+      message = regenerated;
+    } else {
+      console.log(chalk.red('❌ Regeneration failed, keeping the previous message.'));
+    }
+  }
+}
+
+// Generate a changelog section for a range of commits and print it or write it to a file
+async function runChangelogWorkflow(range, options) {
+  applyFlagOverrides(options);
+  await unlockSecrets();
+  requireCompleteConfig();
+
+  const commitRange = parseCommitRange(range);
+  if (!commitRange) {
+    console.error(chalk.red(`❌ Invalid range "${range}". Use <from>..<to>, e.g. v1.2.0..v1.3.0`));
+    process.exit(1);
+  }
+  const allConfig = config.getAll();
+  const usage = trackUsage('changelog');
+
+  try {
+    const section = await generateChangelog(allConfig.AI_PROVIDER, allConfig.API_KEY, allConfig.MODEL, {
+      ...aiRequestOptions(usage),
+      from: options.from || commitRange.from,
+      to: commitRange.to || options.to,
+      version: options.release,
+      date: options.date,
+      onToken: options.stream ? streamToTerminal() : undefined
+    });
+    printUsage(usage);
+    if (!section) {
+      process.exit(1);
+    }
+
+    if (options.write) {
+      const file = path.resolve(getRepoRoot(), options.write === true ? 'CHANGELOG.md' : options.write);
+      writeChangelogSection(file, section);
+      console.log(chalk.green(`✅ Added the ${options.release} section to ${path.relative(process.cwd(), file) || file}`));
+    } else {
+      console.log(chalk.green('📝 Generated changelog:\n'));
+      console.log(section);
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ An unexpected error occurred: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// prepare-commit-msg hook: draft the message of a plain "git commit"
+async function runPrepareCommitMsgHook(messageFile, source) {
+  if (!messageFile || !shouldDraftCommitMessage(messageFile, source)) {
+    return;
+  }
+  applyFlagOverrides({});
+  await unlockSecrets();
+  if (!config.isComplete()) {
+    console.log(chalk.yellow('⚠️ pra is not configured, skipping the commit message draft. Run "pra config" to set up.'));
+    return;
+  }
+
+  const allConfig = config.getAll();
+  const message = await generateCommitMessage(allConfig.AI_PROVIDER, allConfig.API_KEY, allConfig.MODEL, aiRequestOptions(trackUsage('prepare-commit-msg')));
+  if (message) {
+    writeCommitMessage(messageFile, message);
+  }
+}
+
+// pre-push hook: refresh the description of the open PR of the pushed branch
+async function runPrePushHook(remote) {
+  const branch = getCurrentBranch();
+  const pushed = parsePushedRefs(process.stdin.isTTY ? '' : fs.readFileSync(0, 'utf8'));
+  if (!pushed.some(({ localRef }) => localRef === `refs/heads/${branch}`)) {
+    return;
+  }
+  applyFlagOverrides({});
+  await unlockSecrets();
+  if (!config.isComplete()) {
+    console.log(chalk.yellow('⚠️ pra is not configured, skipping the PR description. Run "pra config" to set up.'));
+    return;
+  }
+
+  try {
+    const hostOptions = buildHostOptions(remote || 'origin');
+    const existing = await findExistingPR(hostOptions);
+    if (!existing) {
+      console.log(chalk.gray(`ℹ️ ${branch} has no open PR yet, run "pra create" after pushing.`));
+      return;
+    }
+
+    // Keep the PR's own target branch instead of the remote's default branch
+    const base = resolveBase({ base: existing.baseRefName, remote: hostOptions.remote });
+    const entries = await getChangedFileEntries(await resolveDiffSource({ baseRef: base.ref }));
+    if (entries.length === 0) {
+      return;
+    }
+    const allConfig = config.getAll();
+    const prDetails = await generatePRDetails(entries, allConfig.AI_PROVIDER, allConfig.API_KEY, allConfig.MODEL,
+      prGenerationOptions({}, { base, hostOptions, update: true, usage: trackUsage('pre-push') }));
+    if (prDetails) {
+      await updatePR(prDetails, { ...hostOptions, base: base.branch, existing });
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not update the PR description: ${error.message}`));
+  } finally {
+    cleanup();
+  }
+}
+
+// Non-interactive update of the open PR for CI: plain logs on stderr, JSON result on stdout
+async function runCIWorkflow(options) {
+  usePlainLogs();
+  chalk.level = 0;
+
+  const ci = detectCIContext();
+  const result = { status: 'failed', ci: ci ? ci.system : null, pr: null, title: null, body: null, usage: null };
+  let usage = null;
+  const finish = (exitCode, fields = {}) => {
+    Object.assign(result, fields);
+    if (usage && usage.records.length > 0) {
+      result.usage = usage.totals();
+    }
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    writeStepOutputs({
+      status: result.status,
+      'pr-number': result.pr?.number,
+      'pr-url': result.pr?.url,
+      title: result.title,
+      body: result.body
+    });
+    cleanup();
+    process.exit(exitCode);
+  };
+
+  applyFlagOverrides(options, CI_EXIT_CODES.CONFIG);
+  try {
+    await config.unlockSecrets();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    finish(CI_EXIT_CODES.CONFIG, { error: error.message });
+  }
+  if (!config.isComplete()) {
+    console.error('Error: configuration is incomplete. Set PRA_AI_PROVIDER, PRA_MODEL and PRA_API_KEY.');
+    finish(CI_EXIT_CODES.CONFIG, { error: 'incomplete configuration' });
+  }
+  console.log(ci ? `Running in ${ci.system}` : 'No CI environment detected, using the checked out branch');
+
+  try {
+    const hostOptions = buildHostOptions(options.remote, {
+      type: ci?.hostType,
+      apiUrl: ci?.apiUrl,
+      branch: options.head || ci?.head || undefined
+    });
+    if (!checkDependencies(hostOptions)) {
+      console.error('Error: git is missing, or gh when no GitHub token is set.');
+      finish(CI_EXIT_CODES.CONFIG, { error: 'missing dependencies' });
+    }
+
+    const existing = await findExistingPR(hostOptions);
+    if (!existing) {
+      console.error(`Error: no open PR was found for ${hostOptions.branch || 'this branch'}.`);
+      finish(CI_EXIT_CODES.NO_PR, { error: 'no open PR' });
+    }
+    if (ci?.number && existing.number !== ci.number) {
+      console.log(`Warning: the CI run is for PR #${ci.number}, but the open PR of the branch is #${existing.number}`);
+    }
+    const pr = { number: existing.number, url: existing.url };
+
+    const base = resolveBase({ base: options.base || ci?.base || existing.baseRefName, remote: options.remote });
+    console.log(`Detecting changed files against ${base.ref}...`);
+    const entries = await getChangedFileEntries(await resolveDiffSource({ baseRef: base.ref }));
+    if (entries.length === 0) {
+      console.log(`No changes compared to ${base.ref}. Fetch the full history (e.g. fetch-depth: 0) if this is unexpected.`);
+      finish(CI_EXIT_CODES.SUCCESS, { status: 'no-changes', pr });
+    }
+
+    const allConfig = config.getAll();
+    usage = trackUsage('ci');
+    const prDetails = await generatePRDetails(entries, allConfig.AI_PROVIDER, allConfig.API_KEY, allConfig.MODEL,
+      prGenerationOptions(options, { base, hostOptions, update: true, usage }));
+    printUsage(usage);
+    if (!prDetails) {
+      finish(CI_EXIT_CODES.GENERATION_FAILED, { pr, error: 'description generation failed' });
+    }
+
+    const generated = { pr, title: prDetails.title, body: prDetails.body };
+    if (options.dryRun) {
+      finish(CI_EXIT_CODES.SUCCESS, { ...generated, status: 'dry-run' });
+    }
+    const updated = await updatePR(prDetails, { ...hostOptions, base: base.branch, preserveSections: options.preserve, existing });
+    if (!updated) {
+      finish(CI_EXIT_CODES.UPDATE_FAILED, { ...generated, error: 'PR update failed' });
+    }
+    finish(CI_EXIT_CODES.SUCCESS, { ...generated, status: 'updated', pr: updated });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    finish(CI_EXIT_CODES.ERROR, { error: error.message });
+  }
+}
+
+// Print changed files with their status and line counts
+function printChangedFiles(entries) {
+  entries.forEach((entry) => {
+    const status = describeFileStatus(entry);
+    const lines = entry.binary ? '' : ` +${entry.additions} -${entry.deletions}`;
+    console.log(chalk.gray(`  - ${entry.file}${status ? ` (${status})` : ''}${lines}`));
+  });
+}
+
+// Print the full PR title and body
+function printPRDetails({ title, body }) {
+  console.log(chalk.green('\n📝 Generated PR Details:\n'));
+  console.log(chalk.bold(title));
+  console.log(chalk.gray('─'.repeat(Math.min(title.length, 80))));
+  console.log(body);
+  console.log('');
+}
+
+// Print the labels, reviewers, assignees, milestone and draft state a new PR gets
+function printPRMetadata(prDetails, { draft, labels, reviewers, assignees, milestone }) {
+  const lines = [
+    ['Draft', draft ? 'yes' : ''],
+    ['Labels', [...new Set([...(prDetails.labels || []), ...labels])].join(', ')],
+    ['Reviewers', reviewers.join(', ')],
+    ['Assignees', assignees.join(', ')],
+    ['Milestone', milestone || '']
+  ].filter(([, value]) => value);
+  lines.forEach(([name, value]) => console.log(chalk.cyan(`${name}:`), value));
+}
+
+// Let the user accept, edit, regenerate or abort the generated description
+// (metadata of the new PR, or null when updating an existing one)
+async function reviewPRDetails(prDetails, generate, metadata) {
+  const update = !metadata;
+  let details = prDetails;
+
+  for (;;) {
+    printPRDetails(details);
+    if (metadata) {
+      printPRMetadata(details, metadata);
+      console.log('');
+    }
+    const { action } = await prompt([{
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        { name: update ? 'Update the PR' : 'Create the PR', value: 'accept' },
+        { name: 'Edit in $EDITOR', value: 'edit' },
+        { name: 'Regenerate with instructions', value: 'regenerate' },
+        { name: 'Abort', value: 'abort' }
+      ]
+    }]);
+
+    if (action === 'accept') {
+      return details;
+    }
+    if (action === 'abort') {
+      return null;
+    }
+
+    if (action === 'edit') {
+      // The first line is the title, the rest the body, like a commit message
+      const { text } = await prompt([{
+        type: 'editor',
+        name: 'text',
+        message: 'Edit the PR description (first line is the title):',
+        default: `${details.title}\n\n${details.body}\n`,
+        postfix: '.md'
+      }]);
+      const [title, ...bodyLines] = text.trim().split('\n');
+      if (!title.trim()) {
+        console.log(chalk.red('❌ The title cannot be empty, keeping the previous description.'));
+        continue;
+      }
+      details = { ...details, title: title.trim(), body: bodyLines.join('\n').trim() };
+      continue;
+    }
+
+    const { instructions } = await prompt([{
+      type: 'input',
+      name: 'instructions',
+      message: 'How should the description change? (e.g. "shorter", "mention the migration")',
+      validate: input => Boolean(input.trim()) || 'Please describe the change'
+    }]);
+    const regenerated = await generate({ instructions: instructions.trim(), previousDraft: details });
+    if (regenerated) {
+      details = regenerated;
+    } else {
+      console.log(chalk.red('❌ Regeneration failed, keeping the previous description.'));
+    }
+  }
+}
+
 // Interactive configuration function
 async function interactiveConfig() {
   const providers = getAvailableProviders();
@@ -178,22 +1348,25 @@ async function interactiveConfig() {
     {
       type: 'password',
       name: 'API_KEY',
-      message: 'Enter API Key:',
-      default: config.get('API_KEY'),
-      validate: (input) => {
-        if (!input) return 'API Key is required';
+      mask: '*',
+      message: (answers) => {
+        if (config.getApiKey(answers.AI_PROVIDER)) return 'Enter API Key (leave empty to keep the stored key):';
+        return requiresApiKey(answers.AI_PROVIDER) ? 'Enter API Key:' : 'Enter API Key (optional):';
+      },
+      validate: (input, answers) => {
+        if (!input && requiresApiKey(answers.AI_PROVIDER) && !config.getApiKey(answers.AI_PROVIDER)) return 'API Key is required';
         return true;
       }
     },
+    ...providerSettingQuestions(providers),
     {
       type: 'input',
       name: 'MODEL',
       message: 'Enter Model Name (leave empty for default):',
       default: config.get('MODEL'),
-      filter: (input) => {
+      filter: (input, answers) => {
         if (!input) {
-          const selectedProvider = config.get('AI_PROVIDER');
-          return providers[selectedProvider]?.defaultModel || '';
+          return providers[answers.AI_PROVIDER]?.defaultModel || '';
         }
         return input;
       }
@@ -201,11 +1374,15 @@ async function interactiveConfig() {
   ];
   
   try {
-    const answers = await inquirer.prompt(questions);
+    const answers = await prompt(questions);
     
-    // Update configuration
+    // Update configuration; API keys are stored per provider
+    if (answers.API_KEY) {
+      await config.unlockSecrets({ create: true });
+    }
     Object.entries(answers).forEach(([key, value]) => {
-      config.set(key, value);
+      if (key === 'API_KEY' && !value) return;
+      config.set(key, value, { provider: answers.AI_PROVIDER });
     });
     
     console.log(chalk.green('\n✅ Configuration saved successfully!'));
@@ -219,6 +1396,7 @@ async function interactiveConfig() {
 // Default command (when no subcommand is provided)
 program
   .action(async () => {
+    await unlockSecrets();
     console.log(chalk.blue('🚀 PR Automator - AI-powered Pull Request generator\n'));
     console.log(chalk.gray('Use --help to see available commands'));
     
@@ -0,0 +1,105 @@
+const { getContextLimit, MAX_OUTPUT_TOKENS } = require('./ai-providers');
+const { estimateTokens, budgetChanges, chunkChanges } = require('./diff-budget');
+const { requestWithFallbacks } = require('./ai-client');
+const { buildCommitMessagePrompt, buildMessages } = require('./prompts');
+const { collectChanges } = require('./pr-generator');
+const { stagedDiffSource, getChangedFileEntries, getCurrentBranch } = require('./git');
+
+/**
+ * Clean up a generated commit message
+ * Removes code fences and surrounding whitespace some models add despite the instructions.
+ * @param {string} text - Model response
+ * @returns {string} Commit message
+ */
+function normalizeCommitMessage(text) {
+  return text
+    .trim()
+    .replace(/^```[a-z]*\s*\n?/i, '')
+    .replace(/\n?```$/, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Generate a conventional commit message for the staged changes
+ * Diffs are collected, filtered by .praignore and redacted like PR diffs. When they
+ * do not fit in the model's context, the first files that fit are sent and the rest
+ * are listed by name only.
+ * @param {string} aiProvider - AI provider name
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object} [options] - Generation options
+ * @param {function(string): void} [options.onToken] - Stream the message, calling this with each fragment
+ * @param {object} [options.providerSettings] - Provider settings such as BASE_URL
+ * @param {string} [options.instructions] - Extra instructions for the model, e.g. "mention the migration"
+ * @param {string} [options.previousDraft] - Earlier message the instructions refer to
+ * @param {number} [options.timeout] - Timeout of each AI request in milliseconds (default 120000)
+ * @param {number} [options.maxRetries] - Retries after rate limits, server errors and timeouts (default 3)
+ * @param {{provider: string, model: string, apiKey: string, settings?: object}[]} [options.fallbacks] - Providers to try, in order, when the configured one fails
+ * @param {function(object): void} [options.onUsage] - Called after each AI request with
+ *   {provider, model, promptTokens, completionTokens, estimated}
+ * @returns {Promise<string|null>} Commit message, or null if nothing is staged or generation failed
+ */
+async function generateCommitMessage(aiProvider, apiKey, model, options = {}) {
+  const staged = await getChangedFileEntries(stagedDiffSource());
+  if (staged.length === 0) {
+    console.error('❌ Nothing is staged. Stage your changes with "git add" first.');
+    return null;
+  }
+
+  console.log('🔄 Analyzing staged changes...');
+  const redacted = collectChanges(staged);
+  if (!redacted) {
+    return null;
+  }
+
+  const budget = budgetChanges(redacted.entries);
+  budget.skipped.forEach(({ file, reason }) => console.log(`⏭️ Skipped ${file} (${reason})`));
+  budget.truncated.forEach(file => console.log(`✂️ Truncated large diff of ${file}`));
+
+  const promptContext = {
+    files: redacted.files,
+    branch: getCurrentBranch(),
+    instructions: options.instructions,
+    previousDraft: options.previousDraft,
+  };
+  const promptBudget = getContextLimit(aiProvider, model) - MAX_OUTPUT_TOKENS - estimateTokens(buildCommitMessagePrompt({ ...promptContext, changes: {} }));
+
+  let changes = budget.changes;
+  let omitted = [];
+  if (budget.totalTokens > promptBudget) {
+    const [first] = chunkChanges(redacted.files, budget.changes, promptBudget);
+    changes = first.changes;
+    omitted = redacted.files.filter(file => !first.files.includes(file));
+    console.log(`📦 Staged diff (~${budget.totalTokens} tokens) exceeds the context of ${model}, sending ${first.files.length} of ${redacted.files.length} file diffs.`);
+  }
+
+  const messages = buildMessages(
+    buildCommitMessagePrompt({ ...promptContext, changes, omitted }),
+    'Please write the commit message for the staged changes.'
+  );
+  const candidates = [
+    { provider: aiProvider, model, apiKey, settings: options.providerSettings },
+    ...(options.fallbacks || []),
+  ];
+
+  const text = await requestWithFallbacks(candidates, messages, {
+    onToken: options.onToken,
+    onUsage: options.onUsage,
+    timeout: options.timeout,
+    maxRetries: options.maxRetries,
+  });
+  if (options.onToken && text) {
+    console.log('\n'); // Finish the streamed output before logging again
+  }
+  if (!text || !normalizeCommitMessage(text)) {
+    console.error('❌ Could not generate a commit message from AI.');
+    return null;
+  }
+  return normalizeCommitMessage(text);
+}
+
+module.exports = {
+  normalizeCommitMessage,
+  generateCommitMessage
+};
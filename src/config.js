@@ -1,118 +1,490 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const YAML = require('yaml');
+const { isSecretKey, writePrivateFile, createSecretStore } = require('./secret-store');
+const { requiresApiKey, isValidProvider, getProviderConfig, getProviderSettings: getSettingDefinitions, getAllProviderSettingKeys } = require('./ai-providers');
 
+// Optional settings that are not tied to the AI provider
+const OPTIONAL_SETTING_KEYS = [
+  // PR host: forge type, self-hosted API root and API tokens
+  'PR_HOST', 'PR_HOST_URL', 'GITHUB_TOKEN', 'GITHUB_API_URL', 'GITLAB_TOKEN', 'GITEA_TOKEN', 'BITBUCKET_TOKEN',
+  // Prompt: custom template path and whether to fill in the repository's PR template
+  'PROMPT_TEMPLATE', 'USE_PR_TEMPLATE',
+  // PR descriptions: language (two comma-separated for a bilingual body), tone and length
+  'LANGUAGE', 'TONE', 'DETAIL_LEVEL',
+  // Changes a PR description covers: committed, staged, working or untracked
+  'DIFF_SOURCE',
+  // Ask providers that support it for JSON details instead of Markdown
+  'STRUCTURED_OUTPUT',
+  // New PRs: labels from the repository's label set, reviewers from CODEOWNERS, open as draft
+  'AUTO_LABELS', 'AUTO_REVIEWERS', 'DRAFT',
+  // AI requests: timeout in seconds, retries after transient failures, provider:model fallbacks
+  'AI_TIMEOUT', 'AI_MAX_RETRIES', 'AI_FALLBACKS',
+  // Response cache: on/off, days before entries expire, total size in MB
+  'CACHE', 'CACHE_MAX_AGE_DAYS', 'CACHE_MAX_SIZE_MB',
+  // Append the tokens and estimated cost of every AI request to the usage log
+  'USAGE_LOG',
+  // Issue linking: on/off, ticket key pattern and ticket URL with an {id} placeholder
+  'LINK_ISSUES', 'TICKET_PATTERN', 'TICKET_URL',
+  // Where API keys and tokens are stored: auto, keyring or file
+  'SECRET_STORE',
+  // Active configuration profile
+  'PROFILE',
+];
+
+// Secrets kept in the secret store instead of ~/.pr-automator
+const SECRET_KEYS = ['API_KEY', ...OPTIONAL_SETTING_KEYS.filter(isSecretKey)];
+
+const DEFAULT_CONFIG = {
+  AI_PROVIDER: 'deepseek',
+  API_KEY: '',
+  MODEL: 'deepseek-chat'
+};
+
+// Repository config files, first match wins
+const PROJECT_CONFIG_FILES = ['.pr-automator.json', '.pra.yml', '.pra.yaml'];
+
+// Settings a cloned repository must not choose: where API keys, tokens and diffs are sent, the keys
+// themselves, and files outside the repository that end up in the prompt
+const USER_ONLY_KEYS = ['PR_HOST_URL', 'GITHUB_API_URL', 'BASE_URL', 'AZURE_ENDPOINT', 'SECRET_STORE', 'PROMPT_TEMPLATE'];
+
+/**
+ * Check whether a setting is ignored when it comes from the project config file
+ * @param {string} key - Configuration key
+ * @returns {boolean} True for endpoints, credentials, the secret store and the prompt template path
+ */
+function isUserOnlyKey(key) {
+  return USER_ONLY_KEYS.includes(key) || isSecretKey(key);
+}
+
+// Environment variables named PRA_<KEY> override <KEY>
+const ENV_PREFIX = 'PRA_';
+
+/**
+ * Find the project config file by walking up from a directory
+ * The search stops at the repository root (the first directory containing .git).
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Path to the project config file, or null
+ */
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const match = PROJECT_CONFIG_FILES.map(file => path.join(dir, file)).find(file => fs.existsSync(file));
+    if (match) {
+      return match;
+    }
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Profile names double as file names
+const PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Parse a KEY=VALUE configuration file
+ * Empty lines and lines starting with # are ignored.
+ * @param {string} content - File content
+ * @returns {object} Configuration values
+ */
+function parseKeyValue(content) {
+  const config = {};
+  content.split('\n').filter(line => line.trim() && !line.startsWith('#')).forEach((line) => {
+    const [key, ...valueParts] = line.split('=');
+    if (key && valueParts.length > 0) {
+      config[key.trim()] = valueParts.join('=').trim();
+    }
+  });
+  return config;
+}
+
+/**
+ * Normalize parsed JSON/YAML config into KEY -> string values
+ * Keys are upper-cased so `model: gpt-4o` works like `MODEL=gpt-4o`; nested values are ignored.
+ * @param {object} data - Parsed config
+ * @returns {object} Configuration values
+ */
+function normalizeConfigValues(data) {
+  const values = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && typeof value !== 'object') {
+      values[key.toUpperCase()] = String(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Read PRA_* environment variables
+ * @param {object} env - Environment
+ * @returns {object} Configuration values keyed without the prefix
+ */
+function readEnvConfig(env) {
+  const values = {};
+  Object.entries(env).forEach(([name, value]) => {
+    if (name.startsWith(ENV_PREFIX) && name.length > ENV_PREFIX.length && value) {
+      values[name.slice(ENV_PREFIX.length)] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Configuration resolved from several layers, lowest priority first:
+ * built-in defaults, ~/.pr-automator, the project config file
+ * (.pr-automator.json or .pra.yml), PRA_* environment variables and CLI flags.
+ * Writes (set, delete, clear) only ever touch ~/.pr-automator, except for
+ * API keys and tokens, which go to the OS keyring or an encrypted file once
+ * unlockSecrets() has been called. API keys are stored per provider.
+ */
 class ConfigManager {
-  constructor() {
+  /**
+   * @param {object} [options] - Options
+   * @param {string} [options.cwd] - Directory to look for a project config file from
+   * @param {object} [options.env] - Environment to read PRA_* variables from
+   * @param {function(object): Promise<string>} [options.getPassphrase] - Asks for the passphrase of the encrypted secrets file
+   */
+  constructor({ cwd = process.cwd(), env = process.env, getPassphrase } = {}) {
     this.configPath = path.join(os.homedir(), '.pr-automator');
+    this.configDir = path.join(os.homedir(), '.pr-automator.d');
+    this.profilesDir = path.join(this.configDir, 'profiles');
+    this.profiles = {};
+    this.getPassphrase = getPassphrase;
+    this.secretStore = null;
     this.config = this.loadConfig();
+    this.projectConfigPath = findProjectConfig(cwd);
+    this.projectConfig = this.loadProjectConfig();
+    this.envConfig = readEnvConfig(env);
+    this.overrides = {};
   }
 
   /**
-   * Load configuration from file
-   * @returns {object} Configuration object
+   * Load the global configuration file (~/.pr-automator)
+   * Unknown keys are kept so that they survive a save.
+   * @returns {object} Configuration values set in the file
    */
   loadConfig() {
-    const defaultConfig = {
-      AI_PROVIDER: 'deepseek',
-      API_KEY: '',
-      MODEL: 'deepseek-chat'
-    };
-
     try {
       if (fs.existsSync(this.configPath)) {
-        const content = fs.readFileSync(this.configPath, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim() && !line.startsWith('#'));
-        
-        const config = { ...defaultConfig };
-        lines.forEach(line => {
-          const [key, ...valueParts] = line.split('=');
-          if (key && valueParts.length > 0) {
-            config[key.trim()] = valueParts.join('=').trim();
-          }
-        });
-        
-        return config;
+        return parseKeyValue(fs.readFileSync(this.configPath, 'utf8'));
       }
     } catch (error) {
       console.warn('⚠️ Could not load config file:', error.message);
     }
     
-    return defaultConfig;
+    return {};
+  }
+
+  /**
+   * Load the project configuration file (.pr-automator.json or .pra.yml)
+   * The file comes with the repository, so endpoints, credentials, the secret store and the prompt
+   * template path are ignored with a warning: set them in ~/.pr-automator, a profile or PRA_* variables.
+   * @returns {object} Configuration values set in the file
+   */
+  loadProjectConfig() {
+    if (!this.projectConfigPath) {
+      return {};
+    }
+
+    try {
+      const content = fs.readFileSync(this.projectConfigPath, 'utf8');
+      const data = this.projectConfigPath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+      const values = normalizeConfigValues(data);
+      const ignored = Object.keys(values).filter(isUserOnlyKey);
+      if (ignored.length > 0) {
+        console.warn(`⚠️ Ignoring ${ignored.join(', ')} in ${this.projectConfigPath}: endpoints, credentials and the prompt template path can only be set in ~/.pr-automator, a profile or PRA_* variables`);
+        ignored.forEach((key) => {
+          delete values[key];
+        });
+      }
+      return values;
+    } catch (error) {
+      console.warn(`⚠️ Could not load project config ${this.projectConfigPath}:`, error.message);
+      return {};
+    }
   }
 
   /**
-   * Save configuration to file
+   * Save the global configuration file
    */
   saveConfig() {
     try {
+      const knownKeys = ['AI_PROVIDER', 'API_KEY', 'MODEL', ...getAllProviderSettingKeys(), ...OPTIONAL_SETTING_KEYS];
+      const otherKeys = Object.keys(this.config).filter(key => !knownKeys.includes(key));
+
       // Create config content
       const content = [
         '# PR Automator Configuration',
         '# This file contains your AI provider settings',
         '# Format: KEY=VALUE',
         '',
-        `AI_PROVIDER=${this.config.AI_PROVIDER}`,
-        `API_KEY=${this.config.API_KEY}`,
-        `MODEL=${this.config.MODEL}`,
+        ...[...knownKeys, ...otherKeys]
+          .filter(key => this.config[key])
+          .map(key => `${key}=${this.config[key]}`),
         ''
       ].join('\n');
 
-      fs.writeFileSync(this.configPath, content, 'utf8');
+      writePrivateFile(this.configPath, content);
     } catch (error) {
       console.error('❌ Could not save config file:', error.message);
     }
   }
 
+  /**
+   * Open the secret store (OS keyring or encrypted file)
+   * Asks for the passphrase of the encrypted file if it exists, or if `create` is set and it does not.
+   * @param {object} [options] - Options
+   * @param {boolean} [options.create] - Prepare the store for writing
+   * @returns {Promise<object>} Secret store
+   */
+  async unlockSecrets({ create = false } = {}) {
+    if (!this.secretStore) {
+      this.secretStore = createSecretStore({
+        type: this.get('SECRET_STORE') || 'auto',
+        filePath: path.join(this.configDir, 'secrets.json'),
+        passphrase: this.envConfig.PASSPHRASE,
+        getPassphrase: this.getPassphrase,
+      });
+    }
+    await this.secretStore.unlock({ create });
+    return this.secretStore;
+  }
+
+  /**
+   * Get the name a secret is stored under
+   * @param {string} key - Configuration key
+   * @param {string} provider - AI provider the API key belongs to
+   * @returns {string} Secret name, e.g. API_KEY:deepseek
+   */
+  getSecretName(key, provider) {
+    return key === 'API_KEY' ? `API_KEY:${provider}` : key;
+  }
+
+  /**
+   * Get the stored API key of a provider
+   * Falls back to a plain-text API_KEY left in ~/.pr-automator by older versions.
+   * @param {string} provider - AI provider
+   * @returns {string} API key, or an empty string
+   */
+  getApiKey(provider) {
+    return (this.secretStore && this.secretStore.get(this.getSecretName('API_KEY', provider))) || this.config.API_KEY || '';
+  }
+
+  /**
+   * Get the keys stored in plain text in ~/.pr-automator that belong in the secret store
+   * @returns {string[]} Configuration keys
+   */
+  getPlaintextSecretKeys() {
+    return SECRET_KEYS.filter(key => this.config[key]);
+  }
+
   /**
    * Set a configuration value
+   * Secrets go to the secret store (call unlockSecrets first); everything else to ~/.pr-automator.
    * @param {string} key - Configuration key
    * @param {string} value - Configuration value
+   * @param {object} [options] - Options
+   * @param {string} [options.provider] - Provider an API key belongs to (defaults to the current provider)
    */
-  set(key, value) {
+  set(key, value, { provider = this.get('AI_PROVIDER') } = {}) {
+    if (SECRET_KEYS.includes(key)) {
+      if (!this.secretStore) {
+        throw new Error('The secret store is locked. Call unlockSecrets() before saving secrets.');
+      }
+      this.secretStore.set(this.getSecretName(key, provider), value);
+      // Drop the plain-text copy written by older versions
+      if (this.config[key]) {
+        delete this.config[key];
+        this.saveConfig();
+      }
+      return;
+    }
+
     this.config[key] = value;
     this.saveConfig();
   }
 
+  /**
+   * Set values that take precedence over every other layer (CLI flags)
+   * Undefined and empty values are ignored.
+   * @param {object} values - Configuration values
+   */
+  setOverrides(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        this.overrides[key] = String(value);
+      }
+    });
+  }
+
+  /**
+   * Get the configuration layers, highest priority first
+   * @returns {{source: string, location: string, values: object}[]} Configuration layers
+   */
+  getLayers() {
+    const layers = [
+      { source: 'cli', location: 'command-line flag', values: this.overrides },
+      { source: 'env', location: 'environment', values: this.envConfig },
+      { source: 'project', location: this.projectConfigPath, values: this.projectConfig },
+      { source: 'global', location: this.configPath, values: this.config },
+      { source: 'default', location: 'built-in default', values: DEFAULT_CONFIG },
+    ];
+
+    // The active profile overrides the global file, but not the project file, environment or flags
+    const profileLayer = layers.find(({ values }) => values.PROFILE);
+    const profile = profileLayer ? profileLayer.values.PROFILE : '';
+    if (profile) {
+      const values = this.getProfile(profile) || {};
+      layers.splice(3, 0, { source: 'profile', location: this.getProfilePath(profile), values });
+    }
+
+    // Stored secrets rank with the global file, ahead of plain-text values left in it
+    if (this.secretStore) {
+      const provider = layers.find(({ values }) => values.AI_PROVIDER).values.AI_PROVIDER;
+      const values = {};
+      SECRET_KEYS.forEach((key) => {
+        values[key] = this.secretStore.get(this.getSecretName(key, provider));
+      });
+      layers.splice(layers.length - 2, 0, { source: 'secret', location: this.secretStore.location, values });
+    }
+
+    return layers;
+  }
+
   /**
    * Get a configuration value
    * @param {string} key - Configuration key
    * @returns {string} Configuration value
    */
   get(key) {
-    return this.config[key] || '';
+    const layer = this.getLayers().find(({ values }) => values[key]);
+    return layer ? layer.values[key] : '';
+  }
+
+  /**
+   * Get where a configuration value comes from
+   * @param {string} key - Configuration key
+   * @returns {{source: string, location: string}|null} Layer that sets the value, or null if it is not set
+   */
+  getOrigin(key) {
+    const layer = this.getLayers().find(({ values }) => values[key]);
+    if (!layer) {
+      return null;
+    }
+    return {
+      source: layer.source,
+      location: layer.source === 'env' ? `${ENV_PREFIX}${key}` : layer.location,
+    };
   }
 
   /**
    * Get all configuration values
+   * Includes every known setting plus any other key set in one of the layers.
    * @returns {object} All configuration values
    */
   getAll() {
-    return {
-      AI_PROVIDER: this.config.AI_PROVIDER,
-      API_KEY: this.config.API_KEY,
-      MODEL: this.config.MODEL
+    const all = {
+      AI_PROVIDER: this.get('AI_PROVIDER'),
+      API_KEY: this.get('API_KEY'),
+      MODEL: this.get('MODEL'),
+      ...this.getProviderSettingValues(),
+      ...this.getOptionalSettingValues()
     };
+    this.getLayers().forEach(({ values }) => {
+      Object.keys(values).forEach((key) => {
+        if (!(key in all)) {
+          all[key] = this.get(key);
+        }
+      });
+    });
+    return all;
+  }
+
+  /**
+   * Get the values of the optional settings (PR host, prompt template)
+   * @returns {object} Setting values keyed by setting name
+   */
+  getOptionalSettingValues() {
+    const values = {};
+    OPTIONAL_SETTING_KEYS.forEach((key) => {
+      values[key] = this.get(key);
+    });
+    return values;
+  }
+
+  /**
+   * Get the values of every provider-specific setting (BASE_URL, AZURE_ENDPOINT, ...)
+   * @returns {object} Setting values keyed by setting name
+   */
+  getProviderSettingValues() {
+    const values = {};
+    getAllProviderSettingKeys().forEach((key) => {
+      values[key] = this.get(key);
+    });
+    return values;
   }
 
   /**
-   * Delete a configuration value
+   * Get the extra settings of a provider (e.g. BASE_URL)
+   * @param {string} [provider] - AI provider (defaults to the configured one)
+   * @returns {object} Setting values keyed by setting name
+   */
+  getProviderSettings(provider = this.get('AI_PROVIDER')) {
+    const settings = {};
+    getSettingDefinitions(provider).forEach(({ key, default: defaultValue }) => {
+      settings[key] = this.get(key) || defaultValue || '';
+    });
+    return settings;
+  }
+
+  /**
+   * Get the fallback providers from AI_FALLBACKS
+   * Entries are comma-separated provider:model pairs; without a model the provider's
+   * default model is used (e.g. "openai:gpt-4o-mini, anthropic").
+   * @returns {{provider: string, model: string, apiKey: string, settings: object}[]} Fallbacks, in order
+   * @throws {Error} If an entry names an unknown provider
+   */
+  getFallbacks() {
+    return (this.get('AI_FALLBACKS') || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        // Split at the first colon only: Ollama models are named like llama3:8b
+        const [provider, ...modelParts] = entry.split(':');
+        if (!isValidProvider(provider)) {
+          throw new Error(`Unknown AI provider "${provider}" in AI_FALLBACKS`);
+        }
+        return {
+          provider,
+          model: modelParts.join(':') || getProviderConfig(provider).defaultModel,
+          apiKey: this.getApiKey(provider),
+          settings: this.getProviderSettings(provider),
+        };
+      });
+  }
+
+  /**
+   * Delete a configuration value from the global configuration file
    * @param {string} key - Configuration key to delete
    */
   delete(key) {
+    if (SECRET_KEYS.includes(key) && this.secretStore) {
+      this.secretStore.delete(this.getSecretName(key, this.get('AI_PROVIDER')));
+    }
     delete this.config[key];
     this.saveConfig();
   }
 
   /**
-   * Clear all configuration
+   * Clear the global configuration file
    */
   clear() {
-    this.config = {
-      AI_PROVIDER: 'deepseek',
-      API_KEY: '',
-      MODEL: 'deepseek-chat'
-    };
+    this.config = {};
     this.saveConfig();
   }
 
@@ -124,13 +496,133 @@ class ConfigManager {
     return this.configPath;
   }
 
+  /**
+   * Get the directory of the response cache
+   * @returns {string} Path to the cache directory
+   */
+  getCacheDir() {
+    return path.join(this.configDir, 'cache');
+  }
+
+  /**
+   * Get the path of the usage log
+   * @returns {string} Path to the usage log (JSON lines)
+   */
+  getUsageLogPath() {
+    return path.join(this.configDir, 'usage.jsonl');
+  }
+
+  /**
+   * Get the path of a profile file
+   * @param {string} name - Profile name
+   * @returns {string} Path to the profile file
+   */
+  getProfilePath(name) {
+    return path.join(this.profilesDir, name);
+  }
+
+  /**
+   * Get the names of the saved profiles
+   * @returns {string[]} Profile names, sorted
+   */
+  listProfiles() {
+    if (!fs.existsSync(this.profilesDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.profilesDir).filter(name => PROFILE_NAME_PATTERN.test(name)).sort();
+  }
+
+  /**
+   * Get the settings of a profile
+   * @param {string} name - Profile name
+   * @returns {object|null} Profile settings, or null if the profile does not exist
+   */
+  getProfile(name) {
+    if (!(name in this.profiles)) {
+      const profilePath = this.getProfilePath(name);
+      this.profiles[name] = PROFILE_NAME_PATTERN.test(name) && fs.existsSync(profilePath)
+        ? parseKeyValue(fs.readFileSync(profilePath, 'utf8'))
+        : null;
+    }
+    return this.profiles[name];
+  }
+
+  /**
+   * Create or update a profile
+   * Secrets and PROFILE cannot be part of a profile; API keys are stored per provider instead.
+   * @param {string} name - Profile name
+   * @param {object} values - Settings to store, merged into the existing profile
+   */
+  saveProfile(name, values) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, digits, ".", "-" and "_".`);
+    }
+    const invalidKeys = Object.keys(values).filter(key => key === 'PROFILE' || isSecretKey(key));
+    if (invalidKeys.length > 0) {
+      throw new Error(`${invalidKeys.join(', ')} cannot be stored in a profile.`);
+    }
+
+    const profile = { ...(this.getProfile(name) || {}), ...values };
+    writePrivateFile(this.getProfilePath(name), [
+      `# PR Automator profile: ${name}`,
+      '# Format: KEY=VALUE',
+      '',
+      ...Object.entries(profile).filter(([, value]) => value).map(([key, value]) => `${key}=${value}`),
+      ''
+    ].join('\n'));
+    this.profiles[name] = profile;
+  }
+
+  /**
+   * Delete a profile
+   * Deactivates it in ~/.pr-automator if it was the active profile there.
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile existed
+   */
+  removeProfile(name) {
+    if (!this.getProfile(name)) {
+      return false;
+    }
+    fs.unlinkSync(this.getProfilePath(name));
+    this.profiles[name] = null;
+    if (this.config.PROFILE === name) {
+      this.delete('PROFILE');
+    }
+    return true;
+  }
+
+  /**
+   * Get the name of the active profile
+   * @returns {string} Profile name, or an empty string if no profile is active
+   */
+  getActiveProfile() {
+    return this.get('PROFILE');
+  }
+
+  /**
+   * Get the project configuration file path
+   * @returns {string|null} Path to .pr-automator.json or .pra.yml, or null if there is none
+   */
+  getProjectConfigPath() {
+    return this.projectConfigPath;
+  }
+
   /**
    * Check if configuration is complete
+   * Local providers (e.g. Ollama) do not need an API key, but may need a BASE_URL.
    * @returns {boolean} True if all required configs are set
    */
   isComplete() {
     const config = this.getAll();
-    return config.API_KEY && config.AI_PROVIDER;
+    if (!config.AI_PROVIDER) {
+      return false;
+    }
+    if (requiresApiKey(config.AI_PROVIDER) && !config.API_KEY) {
+      return false;
+    }
+    return getSettingDefinitions(config.AI_PROVIDER)
+      .filter(setting => setting.required)
+      .every(setting => this.get(setting.key));
   }
 
   /**
@@ -142,7 +634,8 @@ class ConfigManager {
     return {
       AI_PROVIDER: config.AI_PROVIDER,
       API_KEY: config.API_KEY,
-      MODEL: config.MODEL
+      MODEL: config.MODEL,
+      ...this.getProviderSettingValues()
     };
   }
 }
@@ -0,0 +1,205 @@
+const path = require('path');
+const { formatHunk, formatFileDiff } = require('./patch');
+
+// Rough average for code and English text across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULT_MAX_FILE_TOKENS = 4000;
+const DEFAULT_MAX_HUNK_TOKENS = 1500;
+
+const LOCKFILE_NAMES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'Gemfile.lock',
+  'composer.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'Podfile.lock',
+];
+
+const GENERATED_PATTERNS = [
+  /(^|\/)(dist|build|out|vendor|node_modules|coverage)\//,
+  /(^|\/)__generated__\//,
+  /\.min\.(js|css)$/,
+  /\.(map|snap)$/,
+  /\.pb\.go$/,
+  /_pb2\.py$/,
+  /\.generated\.\w+$/,
+];
+
+const BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tiff', '.psd',
+  '.pdf', '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.jar', '.war',
+  '.exe', '.dll', '.so', '.dylib', '.bin', '.wasm', '.class', '.o', '.a',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.mp3', '.mp4', '.mov', '.avi', '.wav', '.ogg', '.webm',
+  '.sqlite', '.db', '.pkl', '.pt', '.onnx', '.h5', '.npy',
+];
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Decide whether a file's diff should never be sent to the model
+ * @param {string} file - File path
+ * @param {{binary?: boolean}} [entry] - Parsed diff of the file (see getChangedFileEntries)
+ * @returns {string|null} Reason for skipping (lockfile, generated, binary) or null
+ */
+function getSkipReason(file, entry = {}) {
+  if (LOCKFILE_NAMES.includes(path.basename(file))) {
+    return 'lockfile';
+  }
+  if (GENERATED_PATTERNS.some(pattern => pattern.test(file))) {
+    return 'generated';
+  }
+  if (entry.binary || BINARY_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    return 'binary';
+  }
+  return null;
+}
+
+/**
+ * Cut text down to a token budget on line boundaries
+ * @param {string[]} lines - Lines to keep from
+ * @param {number} maxTokens - Token budget
+ * @returns {{kept: string[], dropped: number}} Kept lines and number of dropped lines
+ */
+function takeLines(lines, maxTokens) {
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > maxTokens) {
+      break;
+    }
+    kept.push(line);
+    used += cost;
+  }
+  return { kept, dropped: lines.length - kept.length };
+}
+
+/**
+ * Render the diff of a file so that no hunk and no file exceeds its budget
+ * @param {{header: string[], hunks: {header: string, lines: string[]}[]}} entry - Parsed diff of a single file
+ * @param {object} [limits] - Token limits
+ * @param {number} [limits.maxFileTokens] - Budget for the whole file
+ * @param {number} [limits.maxHunkTokens] - Budget for a single hunk
+ * @returns {{diff: string, truncated: boolean}} Possibly truncated diff
+ */
+function truncateDiff(entry, { maxFileTokens = DEFAULT_MAX_FILE_TOKENS, maxHunkTokens = DEFAULT_MAX_HUNK_TOKENS } = {}) {
+  let truncated = false;
+
+  const hunks = entry.hunks.map((hunk) => {
+    const text = formatHunk(hunk);
+    if (estimateTokens(text) <= maxHunkTokens) {
+      return text;
+    }
+    truncated = true;
+    const { kept, dropped } = takeLines([hunk.header, ...hunk.lines], maxHunkTokens);
+    return `${kept.join('\n')}\n... [${dropped} more line(s) of this hunk truncated]\n`;
+  });
+
+  let result = formatFileDiff({ header: entry.header, hunks: [] });
+  let omittedHunks = 0;
+  for (const hunk of hunks) {
+    if (estimateTokens(result + hunk) > maxFileTokens) {
+      omittedHunks++;
+      continue;
+    }
+    result += hunk;
+  }
+
+  if (omittedHunks > 0) {
+    truncated = true;
+    result += `... [${omittedHunks} more hunk(s) of this file truncated]\n`;
+  }
+
+  return { diff: result, truncated };
+}
+
+/**
+ * Apply the diff budget to a set of changes
+ * Skipped files keep a short placeholder so the model still knows they changed.
+ * @param {object[]} entries - Parsed diff of each changed file (see getChangedFileEntries)
+ * @param {object} [limits] - Token limits passed to truncateDiff
+ * @returns {{changes: object, skipped: {file: string, reason: string}[], truncated: string[], totalTokens: number}}
+ *   Changes holds the diff text to send for each file
+ */
+function budgetChanges(entries, limits = {}) {
+  const budgeted = {};
+  const skipped = [];
+  const truncated = [];
+  let totalTokens = 0;
+
+  for (const entry of entries) {
+    const { file } = entry;
+    const reason = getSkipReason(file, entry);
+
+    if (reason) {
+      skipped.push({ file, reason });
+      budgeted[file] = `Diff omitted (${reason} file)`;
+    } else {
+      const result = truncateDiff(entry, limits);
+      if (result.truncated) {
+        truncated.push(file);
+      }
+      budgeted[file] = result.diff;
+    }
+
+    totalTokens += estimateTokens(JSON.stringify(budgeted[file]));
+  }
+
+  return { changes: budgeted, skipped, truncated, totalTokens };
+}
+
+/**
+ * Split changes into batches that each fit in a token budget
+ * @param {string[]} files - List of changed files
+ * @param {object} changes - Diff content for each file
+ * @param {number} maxTokens - Token budget per batch
+ * @returns {{files: string[], changes: object}[]} Batches of files and their diffs
+ */
+function chunkChanges(files, changes, maxTokens) {
+  const batches = [];
+  let current = { files: [], changes: {} };
+  let used = 0;
+
+  for (const file of files) {
+    const cost = estimateTokens(JSON.stringify(changes[file] || ''));
+    if (current.files.length > 0 && used + cost > maxTokens) {
+      batches.push(current);
+      current = { files: [], changes: {} };
+      used = 0;
+    }
+    current.files.push(file);
+    current.changes[file] = changes[file];
+    used += cost;
+  }
+
+  if (current.files.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+module.exports = {
+  estimateTokens,
+  getSkipReason,
+  truncateDiff,
+  budgetChanges,
+  chunkChanges
+};
@@ -0,0 +1,404 @@
+const { execFile, execFileSync } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { parseFilePatch, splitPatch, diffGitLine, mergeTypeChangePatches, createNewFilePatch } = require('./patch');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_REMOTE = 'origin';
+const FALLBACK_BRANCHES = ['main', 'master'];
+
+// What a PR description covers, on top of the commits of the branch
+const DIFF_SOURCES = ['committed', 'staged', 'working', 'untracked'];
+
+// git diff --raw status letters
+const FILE_STATUSES = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'type-changed' };
+
+// Bytes inspected to decide whether an untracked file is binary, as git does
+const BINARY_CHECK_BYTES = 8000;
+
+// Diffs of large PRs are read in one go
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// Keep the patch format stable whatever the user's diff settings are
+const DIFF_FORMAT_OPTIONS = ['--no-color', '--no-ext-diff', '--no-textconv', '--no-relative', '--src-prefix=a/', '--dst-prefix=b/'];
+
+/**
+ * Run git and return its output
+ * Arguments are passed to git directly, never through a shell, so paths and refs need no quoting.
+ * @param {string[]} args - git arguments
+ * @param {object} [options] - Options passed to execFileSync (cwd, timeout, env)
+ * @returns {string} Standard output
+ */
+function runGitSync(args, options = {}) {
+  return execFileSync('git', args, { stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: MAX_BUFFER, ...options }).toString();
+}
+
+/**
+ * Run git without blocking and return its output
+ * @param {string[]} args - git arguments
+ * @param {string} [cwd] - Directory to run in; diff paths are relative to the repository root, so pathspecs need it
+ * @returns {Promise<string>} Standard output
+ */
+async function runGit(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: MAX_BUFFER });
+  return stdout;
+}
+
+/**
+ * Check whether a git ref can be resolved
+ * @param {string} ref - Ref name (branch, remote branch, commit)
+ * @returns {boolean} True if the ref exists
+ */
+function refExists(ref) {
+  try {
+    runGitSync(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect the default branch of a remote
+ * Tries the locally cached remote HEAD first, then asks the remote, then
+ * falls back to the first of main/master that exists (remote, then local).
+ * @param {string} remote - Remote name
+ * @returns {string} Default branch name (without the remote prefix)
+ */
+function detectDefaultBranch(remote = DEFAULT_REMOTE) {
+  try {
+    const ref = runGitSync(['symbolic-ref', '--quiet', '--short', `refs/remotes/${remote}/HEAD`]).trim();
+    if (ref.startsWith(`${remote}/`)) {
+      return ref.substring(remote.length + 1);
+    }
+  } catch {
+    // Remote HEAD is not cached locally, ask the remote instead
+  }
+
+  try {
+    const output = runGitSync(['remote', 'show', remote], {
+      timeout: 15000,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    const match = output.match(/HEAD branch:\s*(\S+)/);
+    if (match && match[1] !== '(unknown)') {
+      return match[1];
+    }
+  } catch {
+    // Remote is unreachable, fall through to well-known names
+  }
+
+  return FALLBACK_BRANCHES.find(branch => refExists(`${remote}/${branch}`))
+    || FALLBACK_BRANCHES.find(branch => refExists(branch))
+    || FALLBACK_BRANCHES[0];
+}
+
+/**
+ * Resolve the base branch a PR should be compared against
+ * @param {{base?: string, remote?: string}} options - Explicit base branch and remote
+ * @returns {{remote: string, branch: string, ref: string}} Resolved base
+ */
+function resolveBase({ base, remote } = {}) {
+  const remoteName = remote || DEFAULT_REMOTE;
+  const branch = base || detectDefaultBranch(remoteName);
+  const remoteRef = `${remoteName}/${branch}`;
+
+  // Prefer the remote-tracking branch, but allow a purely local base branch
+  const ref = !refExists(remoteRef) && refExists(branch) ? branch : remoteRef;
+
+  return { remote: remoteName, branch, ref };
+}
+
+/**
+ * Resolve what the changes of a PR are compared against
+ * Every mode starts from the merge base with the base ref, so commits already on the
+ * base are ignored: `committed` covers the commits of the branch, `staged` adds the
+ * index, `working` adds uncommitted edits of tracked files and `untracked` adds new
+ * files git does not track yet. A range ("A..B" or "A...B") replaces the mode.
+ * @param {object} options - Diff source options
+ * @param {string} options.baseRef - Ref to compare against
+ * @param {string} [options.mode] - One of DIFF_SOURCES (default committed)
+ * @param {string} [options.range] - Explicit commit range
+ * @returns {Promise<{mode: string, label: string, revisions: string[], untracked: boolean, logRange: string}>} Diff source;
+ *   the label describes it for people, e.g. "origin/main + staged changes"
+ * @throws {Error} For unknown modes
+ */
+async function resolveDiffSource({ baseRef, mode = 'committed', range }) {
+  if (range) {
+    // git log reads A...B as a symmetric difference, the commits of the range are A..B
+    return { mode: 'range', label: range, revisions: [range], untracked: false, logRange: range.replace('...', '..') };
+  }
+  if (!DIFF_SOURCES.includes(mode)) {
+    throw new Error(`Unknown diff source "${mode}". Use one of: ${DIFF_SOURCES.join(', ')}`);
+  }
+
+  const logRange = `${baseRef}..HEAD`;
+  if (mode === 'committed') {
+    return { mode, label: baseRef, revisions: [`${baseRef}...HEAD`], untracked: false, logRange };
+  }
+
+  const mergeBase = (await runGit(['merge-base', baseRef, 'HEAD'])).trim();
+  const labels = {
+    staged: 'staged changes',
+    working: 'uncommitted changes',
+    untracked: 'uncommitted and untracked changes',
+  };
+  return {
+    mode,
+    label: `${baseRef} + ${labels[mode]}`,
+    revisions: mode === 'staged' ? ['--cached', mergeBase] : [mergeBase],
+    untracked: mode === 'untracked',
+    logRange,
+  };
+}
+
+/**
+ * Diff source of the changes staged for the next commit
+ * @returns {{mode: string, label: string, revisions: string[], untracked: boolean}} Diff source
+ */
+function stagedDiffSource() {
+  return { mode: 'index', label: 'staged changes', revisions: ['--cached'], untracked: false };
+}
+
+/**
+ * Parse `git diff --raw -z -p` output into one entry per file
+ * The NUL-separated raw records carry the exact paths and statuses. Each record is
+ * matched to the "diff --git" sections that name its paths: unmerged paths have none,
+ * and type changes (file to symlink ...) have two, the deletion and the creation.
+ * @param {string} output - git diff output
+ * @returns {object[]} Entries, see getChangedFileEntries
+ */
+function parseRawDiff(output) {
+  const records = [];
+  let position = 0;
+  const readField = () => {
+    const end = output.indexOf('\0', position);
+    const field = output.slice(position, end);
+    position = end + 1;
+    return field;
+  };
+
+  while (output[position] === ':') {
+    const code = readField().split(' ').pop();
+    const paths = code[0] === 'R' || code[0] === 'C' ? [readField(), readField()] : [readField()];
+    records.push({ code, paths });
+  }
+  const sections = {};
+  splitPatch(output.slice(position).replace(/^\0/, '')).forEach((patch) => {
+    const line = patch.slice(0, patch.indexOf('\n'));
+    sections[line] = [...(sections[line] || []), patch];
+  });
+
+  return records.filter(({ code }) => code !== 'U').map(({ code, paths }) => {
+    const file = paths[paths.length - 1];
+    const entry = { file, status: FILE_STATUSES[code[0]] || 'modified' };
+    if (paths.length === 2) {
+      entry.oldFile = paths[0];
+    }
+    // A path can only be listed once per diff, so its "diff --git" line identifies its sections
+    const [first = '', second] = sections[diffGitLine(paths[0], file)] || [];
+    const patch = second ? mergeTypeChangePatches(parseFilePatch(first), parseFilePatch(second)) : parseFilePatch(first);
+    return { ...entry, ...patch };
+  });
+}
+
+/**
+ * Read the files git does not track yet as new-file patches
+ * @returns {Promise<object[]>} Entries with the untracked status
+ */
+async function getUntrackedEntries() {
+  const repoRoot = (await runGit(['rev-parse', '--show-toplevel'])).trim();
+  const files = (await runGit(['ls-files', '--others', '--exclude-standard', '-z'], repoRoot)).split('\0').filter(Boolean);
+  const entries = await Promise.all(files.map(async (file) => {
+    // Nested repositories and symlinks to directories are listed too, only regular files have content
+    const stats = await fs.promises.stat(path.join(repoRoot, file)).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return null;
+    }
+    const content = await fs.promises.readFile(path.join(repoRoot, file));
+    // git treats a NUL byte near the start as binary
+    const binary = content.subarray(0, BINARY_CHECK_BYTES).includes(0);
+    return { file, status: 'untracked', ...createNewFilePatch(file, binary ? null : content.toString('utf8')) };
+  }));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Get the changed files of a diff source with their status and hunks
+ * All files are diffed by a single git invocation; renames and copies are detected.
+ * @param {object} source - Diff source from resolveDiffSource
+ * @returns {Promise<{file: string, status: string, oldFile?: string, binary: boolean, additions: number, deletions: number,
+ *   header: string[], hunks: {header: string, oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}[]}[]>}
+ *   Status is added, modified, deleted, renamed, copied, type-changed or untracked; binary files have no hunks
+ */
+async function getChangedFileEntries(source) {
+  // -z keeps paths with spaces, quotes and non-ASCII characters verbatim
+  const [output, untracked] = await Promise.all([
+    runGit(['-c', 'core.quotePath=false', 'diff', '--raw', '-z', '-p', '-M', ...DIFF_FORMAT_OPTIONS, ...source.revisions]),
+    source.untracked ? getUntrackedEntries() : [],
+  ]);
+  return [...parseRawDiff(output), ...untracked];
+}
+
+/**
+ * Describe the status of a changed file in a few words, e.g. "renamed from src/a.js, binary"
+ * @param {object} entry - Entry from getChangedFileEntries
+ * @returns {string} Description, empty for modified text files
+ */
+function describeFileStatus(entry) {
+  const parts = [];
+  if (entry.status === 'renamed' || entry.status === 'copied') {
+    parts.push(`${entry.status} from ${entry.oldFile}`);
+  } else if (entry.status === 'untracked') {
+    parts.push('new, untracked');
+  } else if (entry.status && entry.status !== 'modified') {
+    parts.push(entry.status);
+  }
+  if (entry.binary) {
+    parts.push('binary');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Get changed files from git
+ * Uses a merge-base (three-dot) diff so commits already on the base are ignored.
+ * @param {string} [baseRef] - Ref to compare against (defaults to the remote's default branch)
+ * @param {object} [source] - Diff source from resolveDiffSource (defaults to the committed changes)
+ * @returns {Promise<string[]>} List of changed files
+ */
+async function getChangedFiles(baseRef = resolveBase().ref, source = null) {
+  try {
+    const entries = await getChangedFileEntries(source || await resolveDiffSource({ baseRef }));
+    return entries.map(entry => entry.file);
+  } catch (error) {
+    console.error('❌ Error getting changed files:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the name of the checked out branch
+ * @returns {string} Branch name
+ */
+function getCurrentBranch() {
+  return runGitSync(['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+}
+
+/**
+ * Get the URL of a remote
+ * @param {string} remote - Remote name
+ * @returns {string|null} Remote URL or null if the remote does not exist
+ */
+function getRemoteUrl(remote = DEFAULT_REMOTE) {
+  try {
+    return runGitSync(['remote', 'get-url', remote]).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the remote a branch is pushed to
+ * @param {string} branch - Branch name
+ * @returns {string} Push remote (falls back to the default remote)
+ */
+function getPushRemote(branch) {
+  for (const key of [`branch.${branch}.pushRemote`, 'remote.pushDefault', `branch.${branch}.remote`]) {
+    try {
+      const remote = runGitSync(['config', '--get', key]).trim();
+      if (remote) {
+        return remote;
+      }
+    } catch {
+      // Key is not set, try the next one
+    }
+  }
+  return DEFAULT_REMOTE;
+}
+
+/**
+ * Get the top-level directory of the repository
+ * @returns {string} Repository root
+ */
+function getRepoRoot() {
+  return runGitSync(['rev-parse', '--show-toplevel']).trim();
+}
+
+/**
+ * Get the directory git runs hooks from
+ * Honors core.hooksPath and linked worktrees.
+ * @returns {string} Absolute path of the hooks directory
+ */
+function getHooksDir() {
+  const hooksDir = runGitSync(['rev-parse', '--git-path', 'hooks']).trim();
+  return path.resolve(hooksDir);
+}
+
+/**
+ * Get the log of commits on the current branch that are not on the base
+ * @param {string} baseRef - Ref to compare against, or a commit range ("A..B")
+ * @returns {Promise<string>} One entry per commit: short hash and subject, followed by the body if any
+ */
+async function getCommitLog(baseRef) {
+  const range = baseRef.includes('..') ? baseRef : `${baseRef}..HEAD`;
+  const log = await runGit(['log', '--no-merges', '--format=%h %s%n%b', range, '--']);
+  return log.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Get the most recent tag reachable from a ref
+ * @param {string} [ref] - Ref to start from
+ * @returns {string|null} Tag name, or null if there is none
+ */
+function getLatestTag(ref = 'HEAD') {
+  try {
+    return runGitSync(['describe', '--tags', '--abbrev=0', ref]).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the commits of a range, newest first
+ * Merge commits are included because they carry the titles of merged PRs.
+ * @param {string} [from] - Exclusive start of the range (all history when omitted)
+ * @param {string} [to] - Inclusive end of the range
+ * @returns {{hash: string, subject: string, body: string}[]} Commits
+ */
+function getCommits(from, to = 'HEAD') {
+  const range = from ? `${from}..${to}` : to;
+  // Unit and record separators keep multi-line bodies intact
+  return runGitSync(['log', '--format=%h%x1f%s%x1f%b%x1e', range, '--'])
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, subject, body = ''] = record.split('\x1f');
+      return { hash, subject, body: body.trim() };
+    });
+}
+
+module.exports = {
+  DEFAULT_REMOTE,
+  DIFF_SOURCES,
+  refExists,
+  detectDefaultBranch,
+  resolveBase,
+  resolveDiffSource,
+  parseRawDiff,
+  getChangedFileEntries,
+  describeFileStatus,
+  getChangedFiles,
+  stagedDiffSource,
+  getCurrentBranch,
+  getRepoRoot,
+  getHooksDir,
+  getCommitLog,
+  getLatestTag,
+  getCommits,
+  getRemoteUrl,
+  getPushRemote
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { getHooksDir } = require('./git');
+
+// Hooks pra can install: commit messages for `git commit`, PR descriptions on `git push`
+const HOOK_TYPES = ['prepare-commit-msg', 'pre-push'];
+
+// First comment of every installed hook, used to recognize them
+const HOOK_MARKER = '# Installed by pr-automator';
+
+// Suffix of a hook that was replaced with --force
+const BACKUP_SUFFIX = '.pra-backup';
+
+// Line above which git cuts the commit message, "# ------------------------ >8 ------------------------"
+const SCISSORS_LINE = /^\S* ?-{24} >8 -{24}$/;
+
+// Ref of a deleted branch in the pre-push input
+const NULL_SHA = /^0+$/;
+
+/**
+ * Build the shell script of a hook
+ * The hook never blocks the commit or push: it does nothing when pra is not on
+ * the PATH and ignores failures.
+ * @param {string} type - Hook type (see HOOK_TYPES)
+ * @returns {string} Script content
+ */
+function buildHookScript(type) {
+  return `#!/bin/sh
+${HOOK_MARKER}. Remove it with "pra hook uninstall ${type}".
+# Set PRA_SKIP_HOOKS=1 to skip it once.
+[ -n "$PRA_SKIP_HOOKS" ] && exit 0
+command -v pra >/dev/null 2>&1 || exit 0
+pra hook run ${type} "$@" || true
+exit 0
+`;
+}
+
+/**
+ * Check whether a hook file was installed by pra
+ * @param {string} file - Hook path
+ * @returns {boolean} True for pra hooks
+ */
+function isPraHook(file) {
+  return fs.existsSync(file) && fs.readFileSync(file, 'utf8').includes(HOOK_MARKER);
+}
+
+/**
+ * Check that a hook type is supported
+ * @param {string} type - Hook type
+ * @throws {Error} For unsupported types
+ */
+function assertHookType(type) {
+  if (!HOOK_TYPES.includes(type)) {
+    throw new Error(`Unknown hook "${type}". Supported hooks: ${HOOK_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Install a pra hook in the current repository
+ * @param {string} type - Hook type (see HOOK_TYPES)
+ * @param {object} [options] - Install options
+ * @param {boolean} [options.force] - Replace an existing hook, keeping it as <hook>.pra-backup
+ * @returns {{path: string, backup: string|null}} Installed hook and the backup of the replaced one
+ * @throws {Error} If another hook is installed and force is not set
+ */
+function installHook(type, { force = false } = {}) {
+  assertHookType(type);
+  const hooksDir = getHooksDir();
+  const hookPath = path.join(hooksDir, type);
+  let backup = null;
+
+  if (fs.existsSync(hookPath) && !isPraHook(hookPath)) {
+    if (!force) {
+      throw new Error(`A ${type} hook already exists at ${hookPath}. Use --force to replace it (it is kept as ${type}${BACKUP_SUFFIX}).`);
+    }
+    backup = `${hookPath}${BACKUP_SUFFIX}`;
+    fs.renameSync(hookPath, backup);
+  }
+
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(hookPath, buildHookScript(type), { mode: 0o755 });
+  fs.chmodSync(hookPath, 0o755);
+  return { path: hookPath, backup };
+}
+
+/**
+ * Remove a pra hook from the current repository, restoring the hook it replaced
+ * @param {string} type - Hook type (see HOOK_TYPES)
+ * @returns {{path: string, restored: boolean}|null} Removed hook, or null if no pra hook is installed
+ */
+function uninstallHook(type) {
+  assertHookType(type);
+  const hookPath = path.join(getHooksDir(), type);
+  if (!isPraHook(hookPath)) {
+    return null;
+  }
+
+  fs.unlinkSync(hookPath);
+  const backup = `${hookPath}${BACKUP_SUFFIX}`;
+  const restored = fs.existsSync(backup);
+  if (restored) {
+    fs.renameSync(backup, hookPath);
+  }
+  return { path: hookPath, restored };
+}
+
+/**
+ * Check whether prepare-commit-msg should draft a message
+ * Only plain `git commit` qualifies: messages given with -m/-F, templates, merges,
+ * squashes and amends are left alone, as is a message file that already has text.
+ * @param {string} messageFile - Path of the commit message file
+ * @param {string} [source] - Second hook argument (message, template, merge, squash or commit)
+ * @returns {boolean} True if the message should be generated
+ */
+function shouldDraftCommitMessage(messageFile, source) {
+  if (source) {
+    return false;
+  }
+  const existing = fs.existsSync(messageFile) ? fs.readFileSync(messageFile, 'utf8') : '';
+  const lines = existing.split('\n');
+  // With commit.verbose the diff follows a scissors line and is not part of the message
+  const scissors = lines.findIndex(line => SCISSORS_LINE.test(line));
+  return !lines.slice(0, scissors === -1 ? lines.length : scissors).some(line => line.trim() && !line.startsWith('#'));
+}
+
+/**
+ * Put a generated message above the comments git wrote into the message file
+ * @param {string} messageFile - Path of the commit message file
+ * @param {string} message - Generated commit message
+ */
+function writeCommitMessage(messageFile, message) {
+  const existing = fs.existsSync(messageFile) ? fs.readFileSync(messageFile, 'utf8') : '';
+  fs.writeFileSync(messageFile, `${message}\n${existing.replace(/^\n+/, '\n')}`);
+}
+
+/**
+ * Parse the refs git passes to pre-push on standard input
+ * @param {string} input - One "<local ref> <local sha> <remote ref> <remote sha>" line per pushed ref
+ * @returns {{localRef: string, remoteRef: string}[]} Pushed branches; deletions are left out
+ */
+function parsePushedRefs(input) {
+  return input
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields.length === 4 && !NULL_SHA.test(fields[1]))
+    .map(([localRef, , remoteRef]) => ({ localRef, remoteRef }));
+}
+
+module.exports = {
+  HOOK_TYPES,
+  buildHookScript,
+  isPraHook,
+  installHook,
+  uninstallHook,
+  shouldDraftCommitMessage,
+  writeCommitMessage,
+  parsePushedRefs
+};
@@ -1,6 +1,16 @@
 const ConfigManager = require('./config');
 const { getAvailableProviders, getProviderConfig, isValidProvider, getProviderNames } = require('./ai-providers');
-const { generatePRDetails, createPR, getChangedFiles, checkDependencies, cleanup } = require('./pr-generator');
+const { generatePRDetails, streamPRDetails, createPR, updatePR, findExistingPR, getChangedFiles, resolveBase, checkDependencies, cleanup } = require('./pr-generator');
+const { mergePreservedSections } = require('./pr-body');
+const { loadPromptTemplate, findPullRequestTemplate } = require('./prompts');
+const { generateCommitMessage } = require('./commit-message');
+const { generateChangelog, writeChangelogSection } = require('./changelog');
+const { installHook, uninstallHook } = require('./hooks');
+const { resolveDiffSource, getChangedFileEntries } = require('./git');
+const { detectCIContext } = require('./ci');
+const { formatFileDiff } = require('./patch');
+const { createResponseCache } = require('./response-cache');
+const { createUsageTracker, readUsageLog, summarizeUsage } = require('./usage');
 
 module.exports = {
   ConfigManager,
@@ -9,8 +19,28 @@ module.exports = {
   isValidProvider,
   getProviderNames,
   generatePRDetails,
+  streamPRDetails,
   createPR,
+  updatePR,
+  findExistingPR,
+  generateCommitMessage,
+  generateChangelog,
+  writeChangelogSection,
+  installHook,
+  uninstallHook,
+  detectCIContext,
   getChangedFiles,
+  getChangedFileEntries,
+  resolveDiffSource,
+  formatFileDiff,
+  createResponseCache,
+  createUsageTracker,
+  readUsageLog,
+  summarizeUsage,
+  resolveBase,
   checkDependencies,
+  mergePreservedSections,
+  loadPromptTemplate,
+  findPullRequestTemplate,
   cleanup
 }; 
\ No newline at end of file
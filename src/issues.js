@@ -0,0 +1,144 @@
+// Jira-style ticket keys such as PROJ-123
+const DEFAULT_TICKET_PATTERN = '\\b[A-Z][A-Z0-9]{1,9}-\\d+\\b';
+
+// Prefixes that look like ticket keys but are not (UTF-8, SHA-256; GH-12 and issue-12 are issues)
+const NOT_TICKET_PREFIXES = ['UTF', 'SHA', 'ISO', 'RFC', 'CVE', 'TLS', 'HTTP', 'GH', 'ISSUE', 'ISSUES'];
+
+// Issue numbers in a branch name: issue-12, issues/12, gh-12 or #12
+const BRANCH_ISSUE_PATTERN = /(?:^|\/)(?:(?:issues?|gh)[-/_]?|#)(\d+)(?!\d)/gi;
+
+// A leading number (feat/12-login) may just as well be part of the name (feat/2-factor-auth, release/2024-notes)
+const BRANCH_NUMBER_PATTERN = /(?:^|\/)(\d+)[-_][a-z]/gi;
+
+// "Fixes #12", "closes GH-12", "resolved: #12"
+const CLOSING_REFERENCE_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:#|GH-)(\d+)\b/gi;
+
+// Any other #12 or GH-12 that is not part of a cross-repository reference (owner/repo#12)
+const ISSUE_REFERENCE_PATTERN = /(?:^|[^\w/&])#(\d+)\b|\bGH-(\d+)\b/gi;
+
+// At most this many issue titles are fetched from the PR host
+const MAX_FETCHED_ISSUES = 10;
+
+/**
+ * Find ticket keys in a text
+ * @param {string} text - Text to search
+ * @param {string} [pattern] - Ticket regular expression (defaults to Jira-style keys)
+ * @returns {string[]} Ticket keys, upper-cased
+ */
+function findTickets(text, pattern) {
+  const matches = text.match(new RegExp(pattern || DEFAULT_TICKET_PATTERN, 'g')) || [];
+  return matches
+    .map(ticket => ticket.toUpperCase())
+    .filter(ticket => pattern || !NOT_TICKET_PREFIXES.includes(ticket.split('-')[0]));
+}
+
+/**
+ * Parse issue numbers and ticket keys referenced by a branch and its commits
+ * Issues named in the branch (issue-12, gh-12, #12) or after a closing keyword ("Fixes #12") are
+ * closing references; leading branch numbers and other mentions are only related.
+ * @param {object} context - Branch context
+ * @param {string} [context.branch] - Branch name
+ * @param {string} [context.commits] - Commit log
+ * @param {string} [context.ticketPattern] - Ticket regular expression (TICKET_PATTERN)
+ * @returns {{issues: {number: number, closes: boolean}[], tickets: string[]}} References, in order of appearance
+ */
+function parseReferences({ branch = '', commits = '', ticketPattern = '' }) {
+  const issues = new Map();
+  const addIssue = (number, closes) => {
+    const key = Number(number);
+    issues.set(key, { number: key, closes: closes || Boolean(issues.get(key)?.closes) });
+  };
+
+  for (const match of branch.matchAll(BRANCH_ISSUE_PATTERN)) {
+    addIssue(match[1], true);
+  }
+  for (const match of branch.matchAll(BRANCH_NUMBER_PATTERN)) {
+    addIssue(match[1], false);
+  }
+  for (const match of commits.matchAll(CLOSING_REFERENCE_PATTERN)) {
+    addIssue(match[1], true);
+  }
+  for (const match of commits.matchAll(ISSUE_REFERENCE_PATTERN)) {
+    addIssue(match[1] || match[2], false);
+  }
+
+  // Branch names are usually lower case (feat/proj-123-login)
+  const tickets = [...findTickets(branch.toUpperCase(), ticketPattern), ...findTickets(commits, ticketPattern)];
+
+  return {
+    issues: [...issues.values()],
+    tickets: [...new Set(tickets)],
+  };
+}
+
+/**
+ * Look up the titles of referenced issues on the PR host
+ * Issues the host cannot find (or hosts without issue support) are left without a title.
+ * @param {object} host - PR host
+ * @param {{number: number, closes: boolean}[]} issues - Referenced issues
+ * @returns {Promise<{number: number, closes: boolean, title?: string, url?: string}[]>} Issues with details
+ */
+async function fetchIssueDetails(host, issues) {
+  if (typeof host.getIssue !== 'function') {
+    return issues;
+  }
+
+  const detailed = [];
+  for (const [index, issue] of issues.entries()) {
+    if (index >= MAX_FETCHED_ISSUES) {
+      detailed.push(issue);
+      continue;
+    }
+    const details = await host.getIssue(issue.number);
+    detailed.push(details ? { ...issue, title: details.title, url: details.url } : issue);
+  }
+  return detailed;
+}
+
+/**
+ * Describe the referenced issues and tickets for the prompt
+ * @param {{issues: object[], tickets: string[]}} references - References from parseReferences
+ * @returns {string} One line per reference, or an empty string
+ */
+function formatReferences({ issues, tickets }) {
+  return [
+    ...issues.map(issue => `- #${issue.number}${issue.title ? `: ${issue.title}` : ''}${issue.closes ? ' (closed by this PR)' : ''}`),
+    ...tickets.map(ticket => `- ${ticket}`),
+  ].join('\n');
+}
+
+/**
+ * Append closing keywords and ticket links to a PR body
+ * References the body already contains are not repeated.
+ * @param {string} body - PR body
+ * @param {{issues: object[], tickets: string[]}} references - References from parseReferences
+ * @param {object} [options] - Options
+ * @param {string} [options.ticketUrl] - Ticket URL with an {id} placeholder (TICKET_URL)
+ * @returns {string} PR body
+ */
+function appendIssueLinks(body, { issues, tickets }, { ticketUrl = '' } = {}) {
+  const lines = [];
+
+  issues.forEach(({ number, closes }) => {
+    const closingPattern = new RegExp(`\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\s*:?\\s+#${number}\\b`, 'i');
+    if (closes ? !closingPattern.test(body) : !new RegExp(`#${number}\\b`).test(body)) {
+      lines.push(`- ${closes ? 'Closes' : 'Related to'} #${number}`);
+    }
+  });
+
+  tickets.forEach((ticket) => {
+    const link = ticketUrl ? `[${ticket}](${ticketUrl.replace('{id}', ticket)})` : ticket;
+    if (!body.includes(ticketUrl ? link : ticket)) {
+      lines.push(`- ${link}`);
+    }
+  });
+
+  return lines.length > 0 ? `${body}\n\n**Linked Issues:**\n${lines.join('\n')}` : body;
+}
+
+module.exports = {
+  parseReferences,
+  fetchIssueDetails,
+  formatReferences,
+  appendIssueLinks
+};
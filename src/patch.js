@@ -0,0 +1,174 @@
+// "@@ -12,5 +12,7 @@ function name": start and length of both sides, lengths default to 1
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse a hunk header line
+ * @param {string} line - Line starting with "@@"
+ * @returns {{oldStart: number, oldLines: number, newStart: number, newLines: number}|null} Ranges, or null if the line is not a hunk header
+ */
+function parseHunkHeader(line) {
+  const match = line.match(HUNK_HEADER);
+  if (!match) {
+    return null;
+  }
+  return {
+    oldStart: Number(match[1]),
+    oldLines: match[2] === undefined ? 1 : Number(match[2]),
+    newStart: Number(match[3]),
+    newLines: match[4] === undefined ? 1 : Number(match[4]),
+  };
+}
+
+/**
+ * Split the patch of one file into its header and hunks
+ * @param {string} text - Patch of a single file, starting with "diff --git"
+ * @returns {{header: string[], hunks: {header: string, oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}[], binary: boolean, additions: number, deletions: number}}
+ */
+function parseFilePatch(text) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const header = [];
+  const hunks = [];
+  let additions = 0;
+  let deletions = 0;
+
+  for (const line of lines) {
+    const ranges = line.startsWith('@@') ? parseHunkHeader(line) : null;
+    if (ranges) {
+      hunks.push({ header: line, ...ranges, lines: [] });
+    } else if (hunks.length > 0) {
+      const hunk = hunks[hunks.length - 1];
+      hunk.lines.push(line);
+      if (line.startsWith('+')) {
+        additions++;
+      } else if (line.startsWith('-')) {
+        deletions++;
+      }
+    } else {
+      header.push(line);
+    }
+  }
+
+  const binary = header.some(line => /^Binary files .* differ$/.test(line) || line === 'GIT binary patch');
+  return { header, hunks, binary, additions, deletions };
+}
+
+// Escapes git uses in quoted paths, see quote_c_style()
+const PATH_ESCAPES = { '\x07': 'a', '\b': 'b', '\t': 't', '\n': 'n', '\v': 'v', '\f': 'f', '\r': 'r', '"': '"', '\\': '\\' };
+
+/**
+ * Quote a path the way git writes it in patch headers when core.quotePath is false
+ * @param {string} file - Path, including its a/ or b/ prefix
+ * @returns {string} The path, quoted and escaped if it contains quotes, backslashes or control characters
+ */
+function quoteGitPath(file) {
+  if (!/["\\\x00-\x1f\x7f]/.test(file)) {
+    return file;
+  }
+  const escaped = file.replace(/["\\\x00-\x1f\x7f]/g, char => `\\${PATH_ESCAPES[char] || char.charCodeAt(0).toString(8).padStart(3, '0')}`);
+  return `"${escaped}"`;
+}
+
+/**
+ * Build the first line of the patch of a file, e.g. "diff --git a/src/a.js b/src/b.js"
+ * @param {string} oldFile - Path before the change
+ * @param {string} file - Path after the change
+ * @returns {string} Header line
+ */
+function diffGitLine(oldFile, file) {
+  return `diff --git ${quoteGitPath(`a/${oldFile}`)} ${quoteGitPath(`b/${file}`)}`;
+}
+
+/**
+ * Merge the two patches git writes for a type change (the deletion of the old file
+ * and the creation of the new one) into a single parsed patch
+ * @param {object} removed - Parsed patch of the deletion
+ * @param {object} added - Parsed patch of the creation
+ * @returns {{header: string[], hunks: object[], binary: boolean, additions: number, deletions: number}} Parsed patch
+ */
+function mergeTypeChangePatches(removed, added) {
+  const isFileLine = line => /^(---|\+\+\+) /.test(line);
+  return {
+    header: [
+      ...removed.header.filter(line => !isFileLine(line)),
+      ...added.header.slice(1).filter(line => !isFileLine(line)),
+      ...removed.header.filter(line => line.startsWith('--- ')),
+      ...added.header.filter(line => line.startsWith('+++ ')),
+    ],
+    hunks: [...removed.hunks, ...added.hunks],
+    binary: removed.binary || added.binary,
+    additions: removed.additions + added.additions,
+    deletions: removed.deletions + added.deletions,
+  };
+}
+
+/**
+ * Split a multi-file patch (git diff -p output) into the patches of each file, in order
+ * @param {string} text - Patch text
+ * @returns {string[]} One patch per file
+ */
+function splitPatch(text) {
+  return text.split(/^(?=diff --git )/m).filter(part => part.startsWith('diff --git '));
+}
+
+/**
+ * Build the patch of a file git does not track yet, as `git diff --no-index /dev/null <file>` would
+ * @param {string} file - Repository-relative path
+ * @param {string|null} content - File content, or null for binary files
+ * @returns {{header: string[], hunks: object[], binary: boolean, additions: number, deletions: number}} Parsed patch
+ */
+function createNewFilePatch(file, content) {
+  const header = [`diff --git a/${file} b/${file}`, 'new file mode 100644'];
+  if (content === null) {
+    return { header: [...header, `Binary files /dev/null and b/${file} differ`], hunks: [], binary: true, additions: 0, deletions: 0 };
+  }
+
+  const lines = content.split('\n');
+  if (content.endsWith('\n')) {
+    lines.pop();
+  }
+  if (lines.length === 0) {
+    return { header, hunks: [], binary: false, additions: 0, deletions: 0 };
+  }
+  const hunkLines = lines.map(line => `+${line}`);
+  if (!content.endsWith('\n')) {
+    hunkLines.push('\\ No newline at end of file');
+  }
+  return {
+    header: [...header, '--- /dev/null', `+++ b/${file}`],
+    hunks: [{ header: `@@ -0,0 +1${lines.length === 1 ? '' : `,${lines.length}`} @@`, oldStart: 0, oldLines: 0, newStart: 1, newLines: lines.length, lines: hunkLines }],
+    binary: false,
+    additions: lines.length,
+    deletions: 0,
+  };
+}
+
+/**
+ * Format a hunk back into unified diff text
+ * @param {{header: string, lines: string[]}} hunk - Hunk
+ * @returns {string} Hunk text, ending with a newline
+ */
+function formatHunk(hunk) {
+  return `${[hunk.header, ...hunk.lines].join('\n')}\n`;
+}
+
+/**
+ * Format the parsed patch of a file back into unified diff text
+ * @param {{header: string[], hunks: object[]}} fileDiff - Parsed patch
+ * @returns {string} Patch text
+ */
+function formatFileDiff(fileDiff) {
+  const header = fileDiff.header.length > 0 ? `${fileDiff.header.join('\n')}\n` : '';
+  return header + fileDiff.hunks.map(formatHunk).join('');
+}
+
+module.exports = {
+  parseHunkHeader,
+  parseFilePatch,
+  splitPatch,
+  quoteGitPath,
+  diffGitLine,
+  mergeTypeChangePatches,
+  createNewFilePatch,
+  formatHunk,
+  formatFileDiff
+};
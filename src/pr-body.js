@@ -0,0 +1,51 @@
+// Sections wrapped in these markers are written by humans and survive regeneration:
+//   <!-- pra:keep [name] --> ... <!-- /pra:keep -->
+const KEEP_BLOCK_PATTERN = /<!--\s*pra:keep(?:\s+([\w-]+))?\s*-->[\s\S]*?<!--\s*\/pra:keep\s*-->/g;
+
+/**
+ * Find all preserved sections in a PR body
+ * @param {string} body - PR body
+ * @returns {{name: string|null, text: string}[]} Preserved sections, including their markers
+ */
+function extractPreservedSections(body) {
+  return [...(body || '').matchAll(KEEP_BLOCK_PATTERN)].map(match => ({
+    name: match[1] || null,
+    text: match[0],
+  }));
+}
+
+/**
+ * Carry preserved sections of an existing PR body over to a regenerated body
+ * A named section replaces the section with the same name in the new body
+ * (e.g. one provided by a template); other sections are appended at the end.
+ * @param {string} existingBody - Current PR body
+ * @param {string} newBody - Regenerated PR body
+ * @returns {string} New body with preserved sections restored
+ */
+function mergePreservedSections(existingBody, newBody) {
+  const preserved = extractPreservedSections(existingBody);
+  if (preserved.length === 0) {
+    return newBody;
+  }
+
+  let merged = newBody;
+  const appended = [];
+
+  for (const section of preserved) {
+    const placeholder = section.name && extractPreservedSections(merged).find(s => s.name === section.name);
+    if (placeholder) {
+      merged = merged.replace(placeholder.text, () => section.text);
+    } else {
+      appended.push(section.text);
+    }
+  }
+
+  return appended.length > 0
+    ? `${merged.trimEnd()}\n\n${appended.join('\n\n')}\n`
+    : merged;
+}
+
+module.exports = {
+  extractPreservedSections,
+  mergePreservedSections
+};
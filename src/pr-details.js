@@ -0,0 +1,170 @@
+// JSON schema of a structured PR description. Every property is required so that
+// providers with strict schema enforcement (OpenAI json_schema) accept it.
+const PR_DETAILS_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: {
+      type: 'string',
+      description: 'Conventional commit style title starting with a relevant emoji, e.g. "✨ feat: add login page"',
+    },
+    summary: {
+      type: 'string',
+      description: 'Brief, high-level summary of what the pull request accomplishes',
+    },
+    changes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'One entry per major change, bug fix or refactoring, naming the files or functions involved',
+    },
+    breaking_changes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Changes that break existing users or require a migration; empty if there are none',
+    },
+    testing: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'How the changes were or should be tested',
+    },
+    labels: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Suggested labels such as bug, enhancement, documentation, refactor, dependencies',
+    },
+  },
+  required: ['title', 'summary', 'changes', 'breaking_changes', 'testing', 'labels'],
+  additionalProperties: false,
+};
+
+const FALLBACK_TITLE = 'feat: Default AI Generated Title';
+const MAX_TITLE_LENGTH = 256;
+
+/**
+ * Parse a JSON object out of a model response
+ * Tolerates Markdown code fences and text around the object.
+ * @param {string} text - Model response
+ * @returns {object} Parsed object
+ * @throws {Error} If the response contains no valid JSON object
+ */
+function parseJSONResponse(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```$/, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('the response does not contain a JSON object');
+  }
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`the response is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Validate structured PR details against PR_DETAILS_SCHEMA
+ * @param {object} data - Parsed response
+ * @returns {string[]} Validation errors, empty if the details are valid
+ */
+function validatePRDetails(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['the response must be a JSON object'];
+  }
+
+  const errors = [];
+  ['title', 'summary'].forEach((key) => {
+    if (typeof data[key] !== 'string' || !data[key].trim()) {
+      errors.push(`"${key}" must be a non-empty string`);
+    }
+  });
+  if (typeof data.title === 'string' && (data.title.includes('\n') || data.title.length > MAX_TITLE_LENGTH)) {
+    errors.push(`"title" must be a single line of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  ['changes', 'breaking_changes', 'testing', 'labels'].forEach((key) => {
+    if (!Array.isArray(data[key]) || data[key].some(item => typeof item !== 'string')) {
+      errors.push(`"${key}" must be an array of strings`);
+    }
+  });
+  if (Array.isArray(data.changes) && data.changes.length === 0) {
+    errors.push('"changes" must list at least one change');
+  }
+  return errors;
+}
+
+// Headings of a rendered PR body, keyed by the language names of parseLanguages
+const SECTION_HEADINGS = {
+  'english': { overview: 'Overview', changes: 'Changes', breaking: '⚠️ Breaking Changes', testing: 'Testing' },
+  'simplified chinese': { overview: '概述', changes: '变更内容', breaking: '⚠️ 破坏性变更', testing: '测试' },
+  'traditional chinese': { overview: '概述', changes: '變更內容', breaking: '⚠️ 破壞性變更', testing: '測試' },
+  'japanese': { overview: '概要', changes: '変更内容', breaking: '⚠️ 破壊的変更', testing: 'テスト' },
+  'korean': { overview: '개요', changes: '변경 사항', breaking: '⚠️ 호환성을 깨는 변경', testing: '테스트' },
+  'german': { overview: 'Überblick', changes: 'Änderungen', breaking: '⚠️ Inkompatible Änderungen', testing: 'Tests' },
+  'french': { overview: 'Aperçu', changes: 'Modifications', breaking: '⚠️ Changements incompatibles', testing: 'Tests' },
+  'spanish': { overview: 'Resumen', changes: 'Cambios', breaking: '⚠️ Cambios incompatibles', testing: 'Pruebas' },
+  'portuguese': { overview: 'Visão geral', changes: 'Alterações', breaking: '⚠️ Alterações incompatíveis', testing: 'Testes' },
+  'italian': { overview: 'Panoramica', changes: 'Modifiche', breaking: '⚠️ Modifiche incompatibili', testing: 'Test' },
+  'russian': { overview: 'Обзор', changes: 'Изменения', breaking: '⚠️ Несовместимые изменения', testing: 'Тестирование' },
+};
+
+/**
+ * Check whether PR bodies in a language can be rendered from structured details
+ * Descriptions in other languages are requested as Markdown, with headings written by the model.
+ * @param {string} [language] - Language name from parseLanguages (English by default)
+ * @returns {boolean} True if the headings of the language are known
+ */
+function hasSectionHeadings(language = 'English') {
+  return Boolean(SECTION_HEADINGS[language.toLowerCase()]);
+}
+
+/**
+ * Render the Markdown PR body from structured details
+ * @param {object} details - Validated structured details
+ * @param {string} [language] - Language of the headings, see hasSectionHeadings (English by default)
+ * @returns {string} PR body
+ */
+function renderPRBody(details, language = 'English') {
+  const headings = SECTION_HEADINGS[language.toLowerCase()] || SECTION_HEADINGS.english;
+  const list = items => items.map(item => `- ${item.trim()}`).join('\n');
+  const sections = [
+    `**${headings.overview}:** ${details.summary.trim()}`,
+    `**${headings.changes}:**\n${list(details.changes)}`,
+  ];
+  if (details.breaking_changes.length > 0) {
+    sections.push(`**${headings.breaking}:**\n${list(details.breaking_changes)}`);
+  }
+  if (details.testing.length > 0) {
+    sections.push(`**${headings.testing}:**\n${list(details.testing)}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Split a Markdown response into title and body
+ * The title comes from a "Title:" line ("**Title:**", "## Title:" ...), or the first line otherwise.
+ * @param {string} text - Model response
+ * @returns {{title: string, body: string}} PR title and body
+ */
+function parseMarkdownResponse(text) {
+  const lines = text.split('\n');
+  const titlePattern = /^\s*(?:#+\s*)?\**title\**\s*:\s*\**\s*(.*?)\s*\**\s*$/i;
+
+  let titleLineIndex = lines.findIndex(line => titlePattern.test(line));
+  let title = titleLineIndex !== -1 ? lines[titleLineIndex].match(titlePattern)[1] : '';
+
+  if (!title) {
+    // No usable "Title:" line: take the first line with text, minus Markdown decoration
+    titleLineIndex = lines.findIndex(line => line.replace(/[#*_`\-\s]/g, ''));
+    title = titleLineIndex !== -1 ? lines[titleLineIndex].replace(/^[#\s]+|[*_`]/g, '').trim() : '';
+  }
+
+  const body = lines.slice(titleLineIndex + 1).join('\n').trim().replace(/^---\n/, '').replace(/\n---$/, '').trim();
+  return { title: title || FALLBACK_TITLE, body };
+}
+
+module.exports = {
+  PR_DETAILS_SCHEMA,
+  parseJSONResponse,
+  validatePRDetails,
+  hasSectionHeadings,
+  renderPRBody,
+  parseMarkdownResponse
+};
@@ -1,134 +1,557 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
-const axios = require('axios');
-const { getProviderConfig } = require('./ai-providers');
+const { getProviderConfig, getContextLimit, getStructuredOutputMode, MAX_OUTPUT_TOKENS } = require('./ai-providers');
+const { estimateTokens, budgetChanges, chunkChanges } = require('./diff-budget');
+const { buildRequest, requestCompletion, describeAIError } = require('./ai-client');
+const { buildAIPrompt, buildBatchSummaryPrompt, buildSummaryMergePrompt, buildMessages, findPullRequestTemplate, parseLanguages } = require('./prompts');
+const { mergePreservedSections } = require('./pr-body');
+const { PR_DETAILS_SCHEMA, parseJSONResponse, validatePRDetails, hasSectionHeadings, renderPRBody, parseMarkdownResponse } = require('./pr-details');
+const { parseReferences, fetchIssueDetails, formatReferences, appendIssueLinks } = require('./issues');
+const { loadIgnorePatterns, redactText, redactChanges, summarizeFindings } = require('./redact');
+const { suggestLabels } = require('./pr-metadata');
+const { computeCacheKey } = require('./response-cache');
+const { estimateCost, formatCost } = require('./usage');
+const { getPRHost, usesGhCli, describeHostError } = require('./pr-hosts');
+const { resolveBase, resolveDiffSource, getChangedFileEntries, describeFileStatus, getChangedFiles, getCurrentBranch, getCommitLog, getRepoRoot } = require('./git');
+
+// Commit logs longer than this are cut so that they do not crowd out the diff
+const MAX_COMMIT_LOG_TOKENS = 1500;
+
+// Diff tokens every request may carry at least, however much of the context the rest of the prompt takes
+const MIN_PROMPT_BUDGET = 1024;
+
+// Requests for a structured description, including retries after malformed responses
+const MAX_STRUCTURED_ATTEMPTS = 3;
 
 /**
- * Build detailed instructions (Prompt) for AI
+ * Summarize a diff that does not fit in the model's context (map-reduce)
+ * Each batch is summarized separately, then summaries are merged until they fit.
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
  * @param {string[]} files - List of changed files
- * @param {object} changes - Specific diff content for each file
- * @returns {string} - Constructed system prompt
- */
-function buildAIPrompt(files, changes) {
-  return `
-You are an expert software developer and a master at writing clear, concise, and professional Pull Request descriptions.
-Your task is to analyze the provided code changes (git diff) and generate a comprehensive PR description.
-
-**Output Format Requirements:**
-Please generate the content in Markdown format, strictly following this structure:
-
----
-**Title:** A conventional commit style title (e.g., "feat:", "fix:", "docs:", "style:", "refactor:", "perf:", "test:"). Start with a relevant emoji.
-**Overview:** A brief, high-level summary of what this PR accomplishes.
-**Key Features Implemented:**
-- 🌟 [Emoji] A bullet point list describing each major feature or change.
-- 🐛 [Emoji] Highlight bug fixes.
-- 🛠️ [Emoji] Detail refactoring or technical improvements.
-**Technical Details:**
-- Explain the "how" behind the changes. Mention specific files, functions, algorithms, or architectural decisions.
-- If there are important dependencies or configuration changes, note them here.
-**Future Enhancements:**
-- (Optional) Suggest potential future improvements, next steps, or open questions related to these changes.
----
-
-**Code Changes to Analyze:**
-- **Files Changed:** ${files.join(', ')}
-- **Detailed Diff:**
-\`\`\`diff
-${JSON.stringify(changes, null, 2)}
-\`\`\`
-
-Now, generate the PR description based on the changes provided.
-`;
+ * @param {object} changes - Budgeted diff content for each file
+ * @param {number} promptBudget - Tokens available for diff content in a single prompt
+ * @param {object} [requestOptions] - Options passed to every request (provider settings)
+ * @returns {Promise<string[]>} - Summaries that fit in the final prompt
+ */
+async function summarizeInBatches(providerConfig, apiKey, model, files, changes, promptBudget, requestOptions = {}) {
+  const batches = chunkChanges(files, changes, promptBudget);
+  let summaries = [];
+
+  for (const [index, batch] of batches.entries()) {
+    console.log(`🧩 Summarizing part ${index + 1}/${batches.length} (${batch.files.length} file(s))...`);
+    const prompt = buildBatchSummaryPrompt(batch.files, batch.changes, index + 1, batches.length);
+    summaries.push(await requestCompletion(providerConfig, apiKey, model, buildMessages(prompt), requestOptions));
+  }
+
+  while (summaries.length > 1 && estimateTokens(summaries.join('\n\n')) > promptBudget) {
+    const labels = summaries.map((_, index) => `part-${index + 1}`);
+    const groups = chunkChanges(labels, Object.fromEntries(labels.map((label, index) => [label, summaries[index]])), promptBudget);
+    if (groups.length === summaries.length) {
+      break; // Every summary is already on its own, merging cannot shrink further
+    }
+
+    console.log(`🧩 Merging ${summaries.length} summaries into ${groups.length}...`);
+    const merged = [];
+    for (const group of groups) {
+      const groupSummaries = group.files.map(label => group.changes[label]);
+      merged.push(groupSummaries.length === 1
+        ? groupSummaries[0]
+        : await requestCompletion(providerConfig, apiKey, model, buildMessages(buildSummaryMergePrompt(groupSummaries)), requestOptions));
+    }
+    summaries = merged;
+  }
+
+  return summaries;
+}
+
+/**
+ * Print the request that would be sent to the provider
+ * Headers are left out because they carry the API key.
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {object} options - Request options (onToken, settings, schema, structuredOutput)
+ */
+function printPayload(providerConfig, apiKey, model, messages, options) {
+  const { url, payload } = buildRequest(providerConfig, apiKey, model, messages, { ...options, stream: Boolean(options.onToken) });
+  // Gemini passes the key as a query parameter
+  console.log(`\nPOST ${url.replace(/([?&]key=)[^&]+/, '$1***')}`);
+  console.log(JSON.stringify(payload, null, 2));
+}
+
+/**
+ * Estimate the tokens a description will take before sending anything
+ * Completion tokens are an upper bound: every request may generate up to MAX_OUTPUT_TOKENS.
+ * @param {object[]} messages - Messages of the final request when the diff fits in one prompt
+ * @param {object[][]|null} batchMessages - Messages of each batch summary when it does not, otherwise null
+ * @param {number} basePromptTokens - Tokens of the final prompt without the diff
+ * @param {number} promptBudget - Tokens available for diff content in a single prompt
+ * @returns {{requests: number, promptTokens: number, completionTokens: number}} Estimate
+ */
+function estimateRequests(messages, batchMessages, basePromptTokens, promptBudget) {
+  const countTokens = list => estimateTokens(list.map(message => message.content).join('\n'));
+  if (!batchMessages) {
+    return { requests: 1, promptTokens: countTokens(messages), completionTokens: MAX_OUTPUT_TOKENS };
+  }
+  // The final prompt holds the summaries, each at most one completion long
+  const summaryTokens = Math.min(batchMessages.length * MAX_OUTPUT_TOKENS, promptBudget);
+  return {
+    requests: batchMessages.length + 1,
+    promptTokens: batchMessages.reduce((sum, batch) => sum + countTokens(batch), 0) + basePromptTokens + summaryTokens,
+    completionTokens: (batchMessages.length + 1) * MAX_OUTPUT_TOKENS,
+  };
+}
+
+/**
+ * Print the estimated token usage and cost of a description
+ * @param {string} aiProvider - AI provider name
+ * @param {string} model - Model name
+ * @param {{requests: number, promptTokens: number, completionTokens: number}} estimate - Estimate from estimateRequests
+ */
+function printEstimate(aiProvider, model, estimate) {
+  const cost = estimateCost(aiProvider, model, estimate);
+  console.log(`💰 Estimated usage: ~${estimate.promptTokens.toLocaleString('en-US')} prompt + up to ${estimate.completionTokens.toLocaleString('en-US')} completion tokens in ${estimate.requests} request(s) (${cost === null ? `no known price for ${model}` : `≈ ${formatCost(cost)} at most`})`);
+}
+
+/**
+ * Request the final PR description and turn it into a title and body
+ * With structured output the response is parsed and validated as JSON, and the
+ * request is repeated with the validation errors when it is malformed.
+ * @param {object} providerConfig - Provider configuration from AI_CONFIG
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object[]} messages - Chat messages
+ * @param {object} options - Request options (onToken, settings, structuredOutput, and the language of the body headings)
+ * @returns {Promise<{title: string, body: string, labels: string[]}>} PR details
+ */
+async function requestPRDetails(providerConfig, apiKey, model, messages, options) {
+  if (!options.structuredOutput) {
+    return { ...parseMarkdownResponse(await requestCompletion(providerConfig, apiKey, model, messages, options)), labels: [] };
+  }
+
+  let conversation = messages;
+  for (let attempt = 1; ; attempt++) {
+    const response = await requestCompletion(providerConfig, apiKey, model, conversation, { ...options, schema: PR_DETAILS_SCHEMA });
+
+    let errors;
+    try {
+      const data = parseJSONResponse(response);
+      errors = validatePRDetails(data);
+      if (errors.length === 0) {
+        return { title: data.title.trim(), body: renderPRBody(data, options.language), labels: data.labels };
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (attempt >= MAX_STRUCTURED_ATTEMPTS) {
+      throw new Error(`Malformed response after ${attempt} attempts: ${errors.join('; ')}`);
+    }
+    console.log(`\n⚠️ Malformed response (${errors.join('; ')}), retrying (${attempt + 1}/${MAX_STRUCTURED_ATTEMPTS})...`);
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: response },
+      { role: 'user', content: `That response was invalid: ${errors.join('; ')}. Reply again with only the JSON object and all of the requested fields.` }
+    ];
+  }
+}
+
+/**
+ * Look up cached PR details, treating an unreadable cache as empty
+ * @param {object} cache - Response cache
+ * @param {string} key - Cache key
+ * @returns {{value: object, createdAt: number}|null} Cached details
+ */
+function readCache(cache, key) {
+  try {
+    return cache.get(key);
+  } catch (error) {
+    console.log(`⚠️ Could not read the response cache: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cache PR details; a cache that cannot be written only costs the next run a request
+ * @param {object} cache - Response cache
+ * @param {string} key - Cache key
+ * @param {object} details - PR details
+ * @param {object} meta - Provider and model
+ */
+function writeCache(cache, key, details, meta) {
+  try {
+    cache.set(key, details, meta);
+  } catch (error) {
+    console.log(`⚠️ Could not write the response cache: ${error.message}`);
+  }
 }
 
 /**
  * Analyze code changes using a configured AI provider
- * @param {string[]} files - List of changed files
- * @param {object} changes - Specific diff content for each file
+ * Diffs are budgeted first (lockfiles, generated and binary files dropped, huge
+ * hunks truncated); if they still exceed the model's context they are summarized
+ * in batches before the final description is generated.
+ * @param {object[]} entries - Parsed diff of each changed file (see getChangedFileEntries)
  * @param {string} aiProvider - AI provider name
  * @param {string} apiKey - API key
  * @param {string} model - Model name
- * @returns {Promise<string|null>} - AI-generated PR description or null
+ * @param {object} [options] - Request options
+ * @param {function(string): void} [options.onToken] - Called with each streamed fragment of the final description
+ * @param {object} [options.settings] - Provider settings (e.g. BASE_URL)
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {number} [options.maxRetries] - Retries after a transient failure
+ * @param {object} [options.promptContext] - Extra prompt context (commits, branch, base, promptTemplate, prTemplate)
+ * @param {string} [options.structuredOutput] - Structured output mode of the provider, null for Markdown
+ * @param {boolean} [options.showPayload] - Print the requests instead of sending them
+ * @param {object} [options.cache] - Response cache (see createResponseCache) to reuse the details of an identical request
+ * @param {boolean} [options.refreshCache] - Ignore the cached details, replacing them with new ones
+ * @param {boolean} [options.estimate] - Print the estimated token usage and cost before sending the first request
+ * @param {function(object): void} [options.onUsage] - Called after each request with
+ *   {provider, model, promptTokens, completionTokens, estimated}
+ * @returns {Promise<{title: string, body: string, labels: string[]}|null>} - AI-generated PR details or null
  */
-async function analyzeChangesWithAI(files, changes, aiProvider, apiKey, model) {
+async function analyzeChangesWithAI(entries, aiProvider, apiKey, model, options = {}) {
   const providerConfig = getProviderConfig(aiProvider);
   if (!providerConfig) {
     console.error(`❌ Error: AI provider "${aiProvider}" is not configured.`);
     return null;
   }
 
-  const systemPrompt = buildAIPrompt(files, changes);
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: "Please generate the PR description based on the provided context." }
-  ];
+  const files = entries.map(entry => entry.file);
+  const budget = budgetChanges(entries);
+  budget.skipped.forEach(({ file, reason }) => console.log(`⏭️ Skipped ${file} (${reason})`));
+  budget.truncated.forEach(file => console.log(`✂️ Truncated large diff of ${file}`));
+
+  const contextLimit = getContextLimit(aiProvider, model);
+  const promptContext = { ...options.promptContext, files, structured: Boolean(options.structuredOutput) };
+  const basePromptTokens = estimateTokens(buildAIPrompt({ ...promptContext, changes: {} }));
+  if (basePromptTokens >= contextLimit - MAX_OUTPUT_TOKENS) {
+    console.error(`❌ The prompt without the diff (~${basePromptTokens} tokens of instructions, PR template, commits and labels) does not fit in the ${contextLimit}-token context of ${model}. Use a model with a larger context or a shorter template.`);
+    return null;
+  }
+  // A nearly full context would otherwise split the diff into one request per file
+  const promptBudget = Math.max(contextLimit - MAX_OUTPUT_TOKENS - basePromptTokens, MIN_PROMPT_BUDGET);
+  const onUsage = options.onUsage && (usage => options.onUsage({ ...usage, provider: aiProvider, model }));
+  const requestOptions = { settings: options.settings, timeout: options.timeout, maxRetries: options.maxRetries, onUsage };
+  const finalRequestOptions = { ...requestOptions, onToken: options.onToken, structuredOutput: options.structuredOutput, language: promptContext.languages?.[0] };
 
-  const url = typeof providerConfig.url === 'function' 
-    ? providerConfig.url(model, apiKey) 
-    : providerConfig.url;
-    
-  const headers = providerConfig.buildHeaders(apiKey);
-  const payload = providerConfig.buildPayload(model, messages);
+  const messages = buildMessages(buildAIPrompt({ ...promptContext, changes: budget.changes }));
+  const batches = budget.totalTokens > promptBudget ? chunkChanges(files, budget.changes, promptBudget) : null;
+  const batchMessages = batches && batches.map((batch, index) => buildMessages(buildBatchSummaryPrompt(batch.files, batch.changes, index + 1, batches.length)));
+
+  if (options.showPayload) {
+    const schema = options.structuredOutput ? PR_DETAILS_SCHEMA : null;
+    if (!batches) {
+      printPayload(providerConfig, apiKey, model, messages, { ...finalRequestOptions, schema });
+    } else {
+      batchMessages.forEach(batch => printPayload(providerConfig, apiKey, model, batch, requestOptions));
+      console.log(`\nℹ️ The diff is summarized in ${batches.length} parts first; the final request contains those summaries instead of the diff.`);
+    }
+    printEstimate(aiProvider, model, estimateRequests(messages, batchMessages, basePromptTokens, promptBudget));
+    return null;
+  }
+
+  // The full prompt covers the diff, the commits, the template and the instructions
+  const cacheKey = options.cache && computeCacheKey({
+    provider: aiProvider,
+    model,
+    settings: options.settings || {},
+    structuredOutput: options.structuredOutput || null,
+    prompt: messages[0].content,
+  });
+  const cached = cacheKey && !options.refreshCache && readCache(options.cache, cacheKey);
+  if (cached) {
+    console.log(`♻️ Reusing the description ${model} generated on ${new Date(cached.createdAt).toLocaleString()} for the same changes (--no-cache to regenerate)`);
+    return cached.value;
+  }
+
+  if (options.estimate) {
+    printEstimate(aiProvider, model, estimateRequests(messages, batchMessages, basePromptTokens, promptBudget));
+  }
 
   try {
     console.log(`🔄 Contacting ${providerConfig.name} with model ${model}...`);
-    const response = await axios.post(url, payload, { headers });
-    return providerConfig.extractContent(response);
+
+    let details;
+    if (!batches) {
+      details = await requestPRDetails(providerConfig, apiKey, model, messages, finalRequestOptions);
+    } else {
+      console.log(`📦 Diff (~${budget.totalTokens} tokens) exceeds the ${contextLimit}-token context of ${model}, summarizing in parts...`);
+      const summaries = await summarizeInBatches(providerConfig, apiKey, model, files, budget.changes, promptBudget, requestOptions);
+      details = await requestPRDetails(providerConfig, apiKey, model, buildMessages(buildAIPrompt({ ...promptContext, changes: budget.changes, summaries })), finalRequestOptions);
+    }
+    if (cacheKey) {
+      writeCache(options.cache, cacheKey, details, { provider: aiProvider, model });
+    }
+    return details;
   } catch (error) {
-    const errorMessage = error.response ? JSON.stringify(error.response.data, null, 2) : error.message;
-    console.error(`❌ AI analysis with ${providerConfig.name} failed: ${errorMessage}`);
+    console.error(`❌ AI analysis with ${providerConfig.name} failed: ${describeAIError(error, aiProvider)}`);
     return null;
   }
 }
 
+/**
+ * Shorten a commit log to a token budget, keeping the most recent commits
+ * @param {string} commits - Commit log, newest first
+ * @returns {string} Commit log that fits in MAX_COMMIT_LOG_TOKENS
+ */
+function truncateCommitLog(commits) {
+  if (estimateTokens(commits) <= MAX_COMMIT_LOG_TOKENS) {
+    return commits;
+  }
+  const lines = commits.split('\n');
+  const kept = [];
+  for (const line of lines) {
+    if (estimateTokens([...kept, line].join('\n')) > MAX_COMMIT_LOG_TOKENS) {
+      break;
+    }
+    kept.push(line);
+  }
+  return `${kept.join('\n')}\n... (${lines.length - kept.length} more line(s) of older commits)`;
+}
+
+/**
+ * Gather the non-diff context of the prompt: branch, commit messages, linked issues and templates
+ * @param {string} baseRef - Ref the PR is compared against, or the commit range it covers
+ * @param {object} options - Generation options (promptTemplate, usePRTemplate, linkIssues, autoLabels, host, ticketPattern, instructions, previousDraft,
+ *   language, tone, detailLevel)
+ * @returns {Promise<{context: object, references: object}>} Prompt context for buildAIPrompt and the parsed issue references
+ */
+async function collectPromptContext(baseRef, options) {
+  const context = {
+    base: baseRef,
+    branch: '',
+    commits: '',
+    issues: '',
+    instructions: options.instructions || '',
+    previousDraft: options.previousDraft || null,
+    promptTemplate: options.promptTemplate || '',
+    prTemplate: '',
+    labels: [],
+    languages: parseLanguages(options.language),
+    tone: options.tone || '',
+    detailLevel: options.detailLevel || '',
+  };
+  let references = { issues: [], tickets: [] };
+
+  try {
+    context.branch = options.host?.branch || getCurrentBranch();
+    context.commits = await getCommitLog(baseRef);
+  } catch (error) {
+    console.log(`⚠️ Could not read the commit log: ${error.message}`);
+  }
+
+  if (options.linkIssues !== false) {
+    references = parseReferences({ branch: context.branch, commits: context.commits, ticketPattern: options.ticketPattern });
+    if (options.host && references.issues.length > 0) {
+      try {
+        references.issues = await fetchIssueDetails(getPRHost(options.host), references.issues);
+      } catch (error) {
+        console.log(`⚠️ Could not fetch issue titles: ${describeHostError(error)}`);
+      }
+    }
+    context.issues = formatReferences(references);
+    if (context.issues) {
+      console.log(`🔗 Linked ${[...references.issues.map(issue => `#${issue.number}`), ...references.tickets].join(', ')}`);
+    }
+  }
+  context.commits = truncateCommitLog(context.commits);
+
+  if (options.autoLabels !== false && options.host) {
+    try {
+      const host = getPRHost(options.host);
+      if (typeof host.getLabels === 'function') {
+        context.labels = await host.getLabels();
+      }
+    } catch (error) {
+      console.log(`⚠️ Could not fetch the repository's labels: ${describeHostError(error)}`);
+    }
+  }
+
+  if (options.usePRTemplate) {
+    const prTemplate = findPullRequestTemplate(getRepoRoot());
+    if (prTemplate) {
+      console.log(`📋 Using pull request template ${prTemplate.source}`);
+      context.prTemplate = prTemplate.content;
+    } else {
+      console.log('⚠️ No pull request template found in this repository, using the built-in format.');
+    }
+  }
+
+  // Commit messages, issue titles and templates leave the machine too
+  const findings = [];
+  ['commits', 'issues', 'promptTemplate', 'prTemplate'].forEach((key) => {
+    const redacted = redactText(context[key]);
+    context[key] = redacted.text;
+    findings.push(...redacted.findings);
+  });
+  if (findings.length > 0) {
+    console.log(`🔒 Redacted from commit messages, issues and templates: ${summarizeFindings(findings)}`);
+  }
+
+  return { context, references };
+}
+
+/**
+ * Prepare the diffs of the changed files for sending
+ * Files matched by .praignore are never sent; secrets in the rest are replaced with placeholders.
+ * @param {object[]} entries - Parsed diff of each changed file (see getChangedFileEntries)
+ * @returns {{files: string[], entries: object[]}|null} Files and diffs to send, or null if every file is ignored
+ */
+function collectChanges(entries) {
+  entries.forEach(entry => console.log(`✅ Analyzed ${entry.file}`));
+
+  const redacted = redactChanges(entries, loadIgnorePatterns(getRepoRoot()));
+  if (redacted.ignored.length > 0) {
+    console.log(`🙈 Not sending ${redacted.ignored.length} ignored file(s): ${redacted.ignored.join(', ')}`);
+  }
+  redacted.redactions.forEach(({ file, findings }) => console.log(`🔒 Redacted from ${file}: ${summarizeFindings(findings)}`));
+  if (redacted.entries.length === 0) {
+    console.error('❌ Every changed file is ignored, there is nothing to describe.');
+    return null;
+  }
+  return { files: redacted.entries.map(entry => entry.file), entries: redacted.entries };
+}
+
+/**
+ * Get the parsed diffs of the files a PR is generated for
+ * @param {(string|object)[]} files - File names, or entries from getChangedFileEntries
+ * @param {object} source - Diff source from resolveDiffSource
+ * @returns {Promise<object[]>} Entries, in the order of files
+ */
+async function readChangedEntries(files, source) {
+  if (files.every(file => Array.isArray(file.hunks))) {
+    return files;
+  }
+  const byFile = Object.fromEntries((await getChangedFileEntries(source)).map(entry => [entry.file, entry]));
+  return files.map((file) => {
+    const name = typeof file === 'string' ? file : file.file;
+    return byFile[name] || { file: name, status: 'modified', binary: false, additions: 0, deletions: 0, header: [], hunks: [] };
+  });
+}
+
 /**
  * Generate PR title and body
- * @param {string[]} files - List of changed files
+ * @param {(string|object)[]} files - List of changed files, or entries from getChangedFileEntries; entries are
+ *   used as they are and their status (added, deleted, renamed, binary ...) is passed on to the model
  * @param {string} aiProvider - AI provider name
  * @param {string} apiKey - API key
  * @param {string} model - Model name
- * @returns {Promise<{title: string, body: string}|null>}
+ * @param {object} [options] - Generation options
+ * @param {string} [options.baseRef] - Ref to diff against (defaults to the remote's default branch)
+ * @param {string} [options.diffSource] - committed (default), staged, working or untracked (see resolveDiffSource)
+ * @param {string} [options.range] - Commit range ("A..B") to describe instead of the branch
+ * @param {function(string): void} [options.onToken] - Stream the description, calling this with each fragment
+ * @param {object} [options.providerSettings] - Provider settings such as BASE_URL
+ * @param {string} [options.promptTemplate] - Custom prompt template (see loadPromptTemplate)
+ * @param {boolean} [options.usePRTemplate] - Ask the model to fill in the repository's pull request template
+ * @param {boolean} [options.linkIssues] - Detect issues and tickets in the branch and commits and link them (default true)
+ * @param {object} [options.host] - PR host options (see getPRHost), used to fetch the titles of linked issues and the labels;
+ *   `host.branch` also replaces the checked out branch when looking for issue references
+ * @param {boolean} [options.autoLabels] - Pick labels from the repository's label set (default true)
+ * @param {string} [options.ticketPattern] - Regular expression for ticket keys (defaults to Jira-style PROJ-123)
+ * @param {string} [options.ticketUrl] - Ticket URL with an {id} placeholder, e.g. https://jira.example.com/browse/{id}
+ * @param {string} [options.instructions] - Extra instructions for the model, e.g. "shorter"
+ * @param {string} [options.language] - Language of the description ("ja", "German" ...), or two separated by a comma
+ *   ("en,zh") for a body followed by its translation (see parseLanguages); English by default
+ * @param {string} [options.tone] - professional (default), friendly, casual or formal
+ * @param {string} [options.detailLevel] - brief, standard (default) or detailed
+ * @param {{title: string, body: string}} [options.previousDraft] - Earlier result the instructions refer to
+ * @param {boolean} [options.structuredOutput] - Ask providers that support it for JSON and render the body from it (default true)
+ * @param {number} [options.timeout] - Timeout of each AI request in milliseconds (default 120000)
+ * @param {number} [options.maxRetries] - Retries after rate limits, server errors and timeouts (default 3)
+ * @param {{provider: string, model: string, apiKey: string, settings?: object}[]} [options.fallbacks] - Providers to try, in order, when the configured one fails
+ * @param {boolean} [options.showPayload] - Print exactly what would be sent to the provider and stop (returns null)
+ * @param {object} [options.cache] - Response cache (see createResponseCache); an identical request reuses the cached title and body
+ * @param {boolean} [options.refreshCache] - Generate new details even if they are cached, and cache those instead
+ * @param {boolean} [options.estimate] - Print the estimated token usage and cost before the first request to each provider
+ * @param {function(object): void} [options.onUsage] - Called after each AI request with
+ *   {provider, model, promptTokens, completionTokens, estimated}; estimated counts were not reported by the provider
+ * @returns {Promise<{title: string, body: string, labels: string[]}|null>} Labels are existing labels of the
+ *   repository matching the model's suggestions, the conventional commit type and the changed paths
  */
-async function generatePRDetails(files, aiProvider, apiKey, model) {
+async function generatePRDetails(files, aiProvider, apiKey, model, options = {}) {
   console.log('🔄 Analyzing changes and generating PR details...');
-  const changes = {};
-  
-  for (const file of files) {
-    try {
-      changes[file] = execSync(`git diff origin/main -- ${file}`).toString();
-      console.log(`✅ Analyzed ${file}`);
-    } catch (error) {
-      console.log(`⚠️ Could not analyze ${file}: ${error.message}`);
-      changes[file] = 'File changed but diff not available';
-    }
-  }
-  
-  const aiResponse = await analyzeChangesWithAI(files, changes, aiProvider, apiKey, model);
-  if (aiResponse) {
-    const lines = aiResponse.split('\n');
-    let title = `feat: Default AI Generated Title`;
-    let bodyStartIndex = 0;
-    
-    // Find the title, ignoring the '---' separators
-    const titleLineIndex = lines.findIndex(line => line.toLowerCase().startsWith('**title:**'));
-    
-    if (titleLineIndex !== -1) {
-      title = lines[titleLineIndex].substring('**title:**'.length).trim();
-      bodyStartIndex = titleLineIndex + 1;
-    } else {
-      // Fallback for older format
-      const oldTitleIndex = lines.findIndex(line => line.toLowerCase().startsWith('title:'));
-      if (oldTitleIndex !== -1) {
-        title = lines[oldTitleIndex].substring('title:'.length).trim();
-        bodyStartIndex = oldTitleIndex + 1;
-      }
+  const baseRef = options.baseRef || resolveBase().ref;
+  const source = await resolveDiffSource({ baseRef, mode: options.diffSource, range: options.range });
+
+  // The diff and the commit log, issues and labels are read at the same time
+  const [entries, { context: promptContext, references }] = await Promise.all([
+    readChangedEntries(files, source),
+    collectPromptContext(source.logRange, options),
+  ]);
+  // Checked before .praignore, which would otherwise report every file of an empty diff as ignored
+  if (entries.length === 0) {
+    console.log(`✅ No changes detected in ${source.label}. Nothing to do.`);
+    return null;
+  }
+  const redacted = collectChanges(entries);
+  if (!redacted) {
+    return null;
+  }
+
+  let streamed = false;
+  const onToken = options.onToken && ((text) => {
+    streamed = true;
+    options.onToken(text);
+  });
+
+  promptContext.base = source.label;
+  promptContext.fileStatuses = Object.fromEntries(entries.map(entry => [entry.file, describeFileStatus(entry)]).filter(([, status]) => status));
+  // Custom prompt and PR templates define their own Markdown layout, and so does a bilingual body;
+  // structured bodies get their headings from a table, so other languages are written as Markdown
+  const useStructuredOutput = options.structuredOutput !== false && !promptContext.promptTemplate && !promptContext.prTemplate
+    && promptContext.languages.length < 2 && hasSectionHeadings(promptContext.languages[0]);
+  const candidates = [
+    { provider: aiProvider, model, apiKey, settings: options.providerSettings },
+    ...(options.fallbacks || []),
+  ];
+
+  let details = null;
+  for (const [index, candidate] of candidates.entries()) {
+    if (index > 0) {
+      console.log(`↪️ Falling back to ${candidate.provider} (${candidate.model})...`);
+    }
+    details = await analyzeChangesWithAI(redacted.entries, candidate.provider, candidate.apiKey, candidate.model, {
+      onToken,
+      settings: candidate.settings,
+      timeout: options.timeout,
+      maxRetries: options.maxRetries,
+      promptContext,
+      structuredOutput: useStructuredOutput ? getStructuredOutputMode(candidate.provider, candidate.model) : null,
+      showPayload: options.showPayload,
+      cache: options.cache,
+      refreshCache: options.refreshCache,
+      estimate: options.estimate,
+      onUsage: options.onUsage
+    });
+    if (options.showPayload) {
+      return null;
     }
-    
-    const body = lines.slice(bodyStartIndex).join('\n').trim().replace(/^---\n/, '').replace(/\n---$/, '').trim();
-    
+    if (streamed) {
+      console.log('\n'); // Finish the streamed output before logging again
+      streamed = false;
+    }
+    if (details) {
+      break;
+    }
+  }
+
+  if (details) {
     console.log('✅ AI analysis successful!');
-    return { title, body };
+    return {
+      title: details.title,
+      body: appendIssueLinks(details.body, references, { ticketUrl: options.ticketUrl }),
+      labels: options.autoLabels === false ? [] : suggestLabels({
+        title: details.title,
+        files: redacted.files,
+        suggested: details.labels,
+        available: promptContext.labels
+      })
+    };
   }
 
   console.error('❌ Could not generate PR details from AI. Aborting.');
@@ -136,60 +559,224 @@ async function generatePRDetails(files, aiProvider, apiKey, model) {
 }
 
 /**
- * Create PR using GitHub CLI
+ * Generate PR title and body as an async iterator
+ * Yields `{type: 'token', text}` for each streamed fragment, then a final
+ * `{type: 'result', details}` with the parsed title and body (null on failure).
+ * @param {string[]} files - List of changed files
+ * @param {string} aiProvider - AI provider name
+ * @param {string} apiKey - API key
+ * @param {string} model - Model name
+ * @param {object} [options] - Same options as generatePRDetails (onToken is managed by the iterator)
+ * @returns {AsyncGenerator<{type: string, text?: string, details?: object|null}>}
+ */
+async function* streamPRDetails(files, aiProvider, apiKey, model, options = {}) {
+  const queue = [];
+  let wake = null;
+  let finished = false;
+  let closed = false;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const generation = generatePRDetails(files, aiProvider, apiKey, model, {
+    ...options,
+    onToken: (text) => {
+      if (!closed) {
+        queue.push({ type: 'token', text });
+        notify();
+      }
+    }
+  });
+  // Handle a failure right away: the caller may stop iterating before it would be awaited
+  const outcome = generation
+    .then(value => ({ value }), error => ({ error }))
+    .finally(() => {
+      finished = true;
+      notify();
+    });
+
+  try {
+    while (!finished || queue.length > 0) {
+      if (queue.length === 0) {
+        await new Promise(resolve => { wake = resolve; });
+        continue;
+      }
+      yield queue.shift();
+    }
+
+    const { value, error } = await outcome;
+    if (error) {
+      throw error;
+    }
+    yield { type: 'result', details: value };
+  } finally {
+    // After an early return() the generation keeps running; drop its remaining tokens
+    closed = true;
+    queue.length = 0;
+  }
+}
+
+/**
+ * Find the open PR of the current branch
+ * @param {object} [options] - PR host options (see getPRHost)
+ * @returns {Promise<{number: number, url: string, title: string, body: string, baseRefName: string}|null>} Existing PR or null
+ */
+async function findExistingPR(options = {}) {
+  const host = options.host || getPRHost(options);
+  try {
+    return await host.findPR();
+  } catch (error) {
+    console.error(`⚠️ Could not look up existing PRs on ${host.name}: ${describeHostError(error)}`);
+    return null;
+  }
+}
+
+/**
+ * Update the title and body of the current branch's open PR
+ * Sections of the existing body wrapped in `<!-- pra:keep -->` markers are preserved.
  * @param {{title: string, body: string}} prDetails - PR title and body
+ * @param {object} [options] - PR options, plus PR host options (see getPRHost)
+ * @param {string} [options.base] - Base branch the PR should target
+ * @param {boolean} [options.preserveSections=true] - Keep human-written sections of the existing body
+ * @param {object} [options.existing] - Existing PR, as returned by findExistingPR
+ * @param {object} [options.host] - PR host to use instead of the detected one
+ * @returns {Promise<{number: number, url: string}|null>} Updated PR, or null if it was not updated
  */
-function createPR({ title, body }) {
+async function updatePR({ title, body }, options = {}) {
+  const host = options.host || getPRHost(options);
+  const existing = options.existing || await findExistingPR({ host });
+  if (!existing) {
+    console.error('❌ No open PR was found for this branch. Run "pra create" first.');
+    return null;
+  }
+
   try {
-    // Write body to temporary file to avoid command injection and length limit issues
-    const bodyFilePath = './pr_body.md';
-    fs.writeFileSync(bodyFilePath, body);
-
-    console.log('🚀 Creating PR on GitHub...');
-    // Use --author flag to ensure correct attribution
-    execSync(`gh pr create --title "${title}" --body-file "${bodyFilePath}"`, { stdio: 'inherit' });
-    
-    fs.unlinkSync(bodyFilePath); // Delete temporary file
-    console.log('✅ PR created successfully!');
+    const newBody = options.preserveSections === false ? body : mergePreservedSections(existing.body, body);
+
+    console.log(`✏️ Updating PR #${existing.number} on ${host.name}...`);
+    const pr = await host.updatePR(existing, { title, body: newBody, base: options.base });
+    console.log(`✅ PR updated successfully: ${pr.url}`);
+    return { number: existing.number, url: pr.url || existing.url };
   } catch (error) {
-    console.log('⚠️ PR creation failed. It might already exist. Checking...');
+    console.error(`❌ Failed to update PR #${existing.number}: ${describeHostError(error)}`);
+    return null;
+  }
+}
+
+/**
+ * Add labels, reviewers, assignees and a milestone to a new PR
+ * Each is applied on its own, so a missing label does not cost the reviewers.
+ * The PR author is dropped from the reviewers because hosts reject self-reviews.
+ * @param {object} host - PR host
+ * @param {object} pr - PR returned by host.createPR
+ * @param {object} metadata - PR metadata
+ * @param {string[]} [metadata.labels] - Label names
+ * @param {string[]} [metadata.reviewers] - User names, or org/team for teams
+ * @param {string[]} [metadata.assignees] - User names
+ * @param {string} [metadata.milestone] - Milestone title
+ */
+async function applyPRMetadata(host, pr, { labels = [], reviewers = [], assignees = [], milestone = '' }) {
+  let requestedReviewers = reviewers;
+  if (reviewers.length > 0 && typeof host.getCurrentUser === 'function') {
     try {
-      // Check if current branch already has a PR
-      const prUrl = execSync('gh pr view --json url --jq .url').toString().trim();
-      console.log(`✅ An existing PR was found for this branch: ${prUrl}`);
+      const author = (await host.getCurrentUser()).toLowerCase();
+      requestedReviewers = reviewers.filter(reviewer => reviewer.toLowerCase() !== author);
     } catch {
-      console.error('❌ Failed to create or find an existing PR. Please check your permissions and branch status.');
+      // Without the author's name the host decides whether the request is valid
+    }
+  }
+
+  const steps = [
+    { name: 'labels', method: 'addLabels', value: labels, done: 'Added labels' },
+    { name: 'reviewers', method: 'requestReviewers', value: requestedReviewers, done: 'Requested reviews from' },
+    { name: 'assignees', method: 'addAssignees', value: assignees, done: 'Assigned' },
+    { name: 'milestone', method: 'setMilestone', value: milestone, done: 'Set milestone' },
+  ];
+
+  for (const { name, method, value, done } of steps) {
+    if (value.length === 0) {
+      continue;
+    }
+    const shown = [].concat(value).join(', ');
+    if (typeof host[method] !== 'function') {
+      console.log(`⚠️ ${host.name} does not support ${name}, skipped ${shown}`);
+      continue;
+    }
+    try {
+      await host[method](pr, value);
+      console.log(`✅ ${done}: ${shown}`);
+    } catch (error) {
+      console.log(`⚠️ Could not set ${name} (${shown}): ${describeHostError(error)}`);
     }
   }
 }
 
 /**
- * Get changed files from git
- * @returns {string[]} List of changed files
+ * Create PR on the detected PR host (GitHub, GitLab, Gitea or Bitbucket)
+ * @param {{title: string, body: string, labels?: string[]}} prDetails - PR title, body and labels
+ * @param {object} [options] - PR options, plus PR host options (see getPRHost)
+ * @param {string} [options.base] - Base branch the PR should target
+ * @param {boolean} [options.draft] - Open the PR as a draft
+ * @param {string[]} [options.labels] - Labels to add on top of prDetails.labels
+ * @param {string[]} [options.reviewers] - Users (or org/team) to request reviews from
+ * @param {string[]} [options.assignees] - Users to assign
+ * @param {string} [options.milestone] - Milestone title
+ * @param {boolean} [options.updateExisting] - Update the branch's open PR instead of failing when one exists
+ * @param {boolean} [options.preserveSections=true] - Keep human-written sections when updating
+ * @param {object} [options.host] - PR host to use instead of the detected one
+ * @returns {Promise<boolean>} True if a PR was created or updated
  */
-function getChangedFiles() {
+async function createPR({ title, body, labels = [] }, options = {}) {
+  const host = options.host || getPRHost(options);
+
+  if (options.updateExisting) {
+    const existing = await findExistingPR({ host });
+    if (existing) {
+      console.log(`ℹ️ PR #${existing.number} already exists for this branch, updating it instead.`);
+      return updatePR({ title, body }, { ...options, host, existing });
+    }
+  }
+
   try {
-    const files = execSync('git diff --name-only origin/main HEAD')
-      .toString()
-      .trim()
-      .split('\n')
-      .filter(Boolean);
-    
-    return files;
+    console.log(`🚀 Creating PR on ${host.name}...`);
+    const pr = await host.createPR({ title, body, base: options.base, draft: Boolean(options.draft) });
+    console.log(`✅ ${options.draft ? 'Draft PR' : 'PR'} created successfully: ${pr.url}`);
+    await applyPRMetadata(host, pr, {
+      labels: [...new Set([...labels, ...(options.labels || [])])],
+      reviewers: options.reviewers,
+      assignees: options.assignees,
+      milestone: options.milestone
+    });
+    return true;
   } catch (error) {
-    console.error('❌ Error getting changed files:', error.message);
-    return [];
+    console.log(`⚠️ PR creation failed (${describeHostError(error)}). It might already exist. Checking...`);
+    const existing = await findExistingPR({ host });
+    if (existing) {
+      console.log(`✅ An existing PR was found for this branch: ${existing.url}`);
+      console.log('💡 Run "pra update" (or "pra create --update-existing") to refresh its description.');
+    } else {
+      console.error('❌ Failed to create or find an existing PR. Please check your permissions and branch status.');
+    }
+    return false;
   }
 }
 
 /**
- * Check if git and gh CLI are available
- * @returns {boolean} True if both are available
+ * Check if git is available, and gh CLI when it is needed
+ * The gh CLI is only required for GitHub when no token is available for the REST API.
+ * @param {object} [options] - PR host options (see getPRHost)
+ * @returns {boolean} True if all required tools are available
  */
-function checkDependencies() {
+function checkDependencies(options = {}) {
   try {
     execSync('git --version', { stdio: 'ignore' });
-    execSync('gh --version', { stdio: 'ignore' });
+    if (usesGhCli(options)) {
+      execSync('gh --version', { stdio: 'ignore' });
+    }
     return true;
   } catch {
     return false;
@@ -211,9 +798,14 @@ function cleanup() {
 }
 
 module.exports = {
+  collectChanges,
   generatePRDetails,
+  streamPRDetails,
   createPR,
+  updatePR,
+  findExistingPR,
   getChangedFiles,
+  resolveBase,
   checkDependencies,
   cleanup
 }; 
\ No newline at end of file
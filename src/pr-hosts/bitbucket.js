@@ -0,0 +1,153 @@
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.bitbucket.org/2.0';
+const TOKEN_ENV_VARS = ['BITBUCKET_TOKEN'];
+
+/**
+ * Convert a Bitbucket pull request into the shape used by the rest of the tool
+ * @param {object} pr - Pull request from the Bitbucket API
+ * @returns {{number: number, url: string, title: string, body: string, baseRefName: string}}
+ */
+function normalizePR(pr) {
+  return {
+    number: pr.id,
+    url: pr.links.html.href,
+    title: pr.title,
+    body: pr.description || '',
+    baseRefName: pr.destination.branch.name,
+  };
+}
+
+/**
+ * Build the Authorization header for a Bitbucket token
+ * `username:app_password` uses Basic auth, anything else is sent as a Bearer access token.
+ * @param {string} token - Access token or username:app_password
+ * @returns {string} Authorization header value
+ */
+function buildAuthorization(token) {
+  return token.includes(':')
+    ? `Basic ${Buffer.from(token).toString('base64')}`
+    : `Bearer ${token}`;
+}
+
+/**
+ * Create a PR host backed by the Bitbucket Cloud REST API
+ * @param {object} context - Host context
+ * @param {string} context.token - Access token or username:app_password
+ * @param {{host: string, owner: string, repo: string}} context.target - Repository the PR is opened against
+ * @param {{host: string, owner: string, repo: string}} context.source - Repository the branch is pushed to
+ * @param {string} context.branch - Source branch name
+ * @param {string} [context.apiUrl] - API root, defaults to https://api.bitbucket.org/2.0
+ * @param {number} [context.timeout] - Request timeout in milliseconds (none by default)
+ * @returns {object} PR host
+ */
+function createBitbucketHost({ token, target, source, branch, apiUrl, timeout }) {
+  const client = axios.create({
+    timeout,
+    baseURL: (apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+    headers: {
+      'Authorization': buildAuthorization(token),
+      'User-Agent': 'pr-automator',
+    },
+  });
+  const repoPath = `/repositories/${encodeURIComponent(target.owner)}/${encodeURIComponent(target.repo)}`;
+  const sourceFullName = `${source.owner}/${source.repo}`;
+  const isFork = sourceFullName !== `${target.owner}/${target.repo}`;
+
+  return {
+    name: 'Bitbucket (REST API)',
+
+    /**
+     * Find the open PR of the current branch
+     * @returns {Promise<object|null>} Existing PR or null
+     */
+    async findPR() {
+      const response = await client.get(`${repoPath}/pullrequests`, {
+        params: { state: 'OPEN', q: `source.branch.name = "${branch}"`, pagelen: 10 },
+      });
+      const match = response.data.values.find(pr => !isFork
+        || pr.source.repository?.full_name === sourceFullName);
+      return match ? normalizePR(match) : null;
+    },
+
+    /**
+     * Create a PR for the current branch
+     * The destination defaults to the repository's main branch when no base is given.
+     * @param {{title: string, body: string, base?: string, draft?: boolean}} pr - PR fields
+     * @returns {Promise<object>} Created PR
+     */
+    async createPR({ title, body, base, draft = false }) {
+      const response = await client.post(`${repoPath}/pullrequests`, {
+        title,
+        description: body,
+        draft,
+        source: {
+          branch: { name: branch },
+          ...(isFork ? { repository: { full_name: sourceFullName } } : {}),
+        },
+        ...(base ? { destination: { branch: { name: base } } } : {}),
+      });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Update an existing PR
+     * @param {object} existing - PR returned by findPR
+     * @param {{title: string, body: string, base?: string}} pr - New PR fields
+     * @returns {Promise<object>} Updated PR
+     */
+    async updatePR(existing, { title, body, base }) {
+      const response = await client.put(`${repoPath}/pullrequests/${existing.number}`, {
+        title,
+        description: body,
+        ...(base && base !== existing.baseRefName ? { destination: { branch: { name: base } } } : {}),
+      });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Get the account ID of the token's user
+     * @returns {Promise<string>} Account ID
+     */
+    async getCurrentUser() {
+      return (await client.get('/user')).data.account_id;
+    },
+
+    /**
+     * Request reviews from users
+     * Bitbucket has no labels, assignees or milestones, so reviewers are the only PR metadata.
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} reviewers - Account IDs, or {uuid} values
+     */
+    async requestReviewers(pr, reviewers) {
+      await client.put(`${repoPath}/pullrequests/${pr.number}`, {
+        title: pr.title,
+        reviewers: reviewers.map(reviewer => (reviewer.startsWith('{') ? { uuid: reviewer } : { account_id: reviewer })),
+      });
+    },
+
+    /**
+     * Get the title and URL of an issue
+     * @param {number} number - Issue number
+     * @returns {Promise<{number: number, title: string, url: string}|null>} Issue, or null if it does not exist
+     */
+    async getIssue(number) {
+      try {
+        const response = await client.get(`${repoPath}/issues/${number}`);
+        return { number: response.data.id, title: response.data.title, url: response.data.links.html.href };
+      } catch (error) {
+        // 404 also covers repositories without the issue tracker enabled
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  TOKEN_ENV_VARS,
+  createBitbucketHost
+};
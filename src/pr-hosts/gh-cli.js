@@ -0,0 +1,159 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+
+const BODY_FILE_PATH = './pr_body.md';
+
+/**
+ * Run a gh command with the PR body written to a temporary file
+ * Avoids command injection and command line length limits.
+ * @param {string[]} args - gh arguments, without the body file flag
+ * @param {string} body - PR body
+ * @returns {string} Command output
+ */
+function runWithBodyFile(args, body) {
+  fs.writeFileSync(BODY_FILE_PATH, body);
+  try {
+    return execFileSync('gh', [...args, '--body-file', BODY_FILE_PATH], { stdio: ['ignore', 'pipe', 'inherit'] }).toString().trim();
+  } finally {
+    fs.unlinkSync(BODY_FILE_PATH);
+  }
+}
+
+/**
+ * Run a gh command and return its output
+ * @param {string[]} args - gh arguments
+ * @returns {string} Command output
+ */
+function runGh(args) {
+  return execFileSync('gh', args, { stdio: ['ignore', 'pipe', 'pipe'] }).toString().trim();
+}
+
+/**
+ * Create a PR host backed by the GitHub CLI (gh)
+ * @param {object} [context] - Host context
+ * @param {string} [context.branch] - Head branch name (defaults to the branch gh detects)
+ * @returns {object} PR host
+ */
+function createGhCliHost({ branch } = {}) {
+  return {
+    name: 'GitHub (gh CLI)',
+
+    /**
+     * Find the open PR of the current branch
+     * @returns {Promise<object|null>} Existing PR or null
+     */
+    async findPR() {
+      try {
+        const pr = JSON.parse(execFileSync('gh', ['pr', 'view', ...(branch ? [branch] : []), '--json', 'number,url,title,body,baseRefName,state'], {
+          stdio: ['ignore', 'pipe', 'ignore']
+        }).toString());
+        return pr.state === 'OPEN' ? pr : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Create a PR for the current branch
+     * @param {{title: string, body: string, base?: string, draft?: boolean}} pr - PR fields
+     * @returns {Promise<{number: number, url: string}>} Created PR
+     */
+    async createPR({ title, body, base, draft = false }) {
+      const args = ['pr', 'create', '--title', title];
+      if (base) {
+        args.push('--base', base);
+      }
+      if (draft) {
+        args.push('--draft');
+      }
+      const url = runWithBodyFile(args, body).split('\n').pop();
+      return { number: Number(url.match(/\/pull\/(\d+)/)?.[1]), url };
+    },
+
+    /**
+     * Update an existing PR
+     * @param {object} existing - PR returned by findPR
+     * @param {{title: string, body: string, base?: string}} pr - New PR fields
+     * @returns {Promise<{url: string}>} Updated PR
+     */
+    async updatePR(existing, { title, body, base }) {
+      const args = ['pr', 'edit', String(existing.number), '--title', title];
+      if (base && base !== existing.baseRefName) {
+        args.push('--base', base);
+      }
+      runWithBodyFile(args, body);
+      return { url: existing.url };
+    },
+
+    /**
+     * Get the names of the repository's labels
+     * @returns {Promise<string[]>} Label names
+     */
+    async getLabels() {
+      return JSON.parse(runGh(['label', 'list', '--json', 'name', '--limit', '1000'])).map(label => label.name);
+    },
+
+    /**
+     * Get the login of the authenticated user
+     * @returns {Promise<string>} User name
+     */
+    async getCurrentUser() {
+      return runGh(['api', 'user', '--jq', '.login']);
+    },
+
+    /**
+     * Add labels to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} labels - Label names
+     */
+    async addLabels(pr, labels) {
+      runGh(['pr', 'edit', String(pr.number), ...labels.flatMap(label => ['--add-label', label])]);
+    },
+
+    /**
+     * Request reviews from users and teams
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} reviewers - User names, or org/team for teams
+     */
+    async requestReviewers(pr, reviewers) {
+      runGh(['pr', 'edit', String(pr.number), ...reviewers.flatMap(reviewer => ['--add-reviewer', reviewer])]);
+    },
+
+    /**
+     * Assign users to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} assignees - User names (@me for yourself)
+     */
+    async addAssignees(pr, assignees) {
+      runGh(['pr', 'edit', String(pr.number), ...assignees.flatMap(assignee => ['--add-assignee', assignee])]);
+    },
+
+    /**
+     * Set the milestone of a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string} title - Milestone title
+     */
+    async setMilestone(pr, title) {
+      runGh(['pr', 'edit', String(pr.number), '--milestone', title]);
+    },
+
+    /**
+     * Get the title and URL of an issue
+     * @param {number} number - Issue number
+     * @returns {Promise<{number: number, title: string, url: string}|null>} Issue, or null if it does not exist
+     */
+    async getIssue(number) {
+      try {
+        return JSON.parse(execFileSync('gh', ['issue', 'view', String(number), '--json', 'number,title,url'], {
+          stdio: ['ignore', 'pipe', 'ignore']
+        }).toString());
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createGhCliHost
+};
@@ -0,0 +1,200 @@
+const axios = require('axios');
+
+const TOKEN_ENV_VARS = ['GITEA_TOKEN'];
+
+// Gitea caps page sizes at 50 by default
+const PAGE_SIZE = 50;
+const MAX_LABEL_PAGES = 20;
+
+/**
+ * Convert a Gitea pull request into the shape used by the rest of the tool
+ * @param {object} pr - Pull request from the Gitea API
+ * @returns {{number: number, url: string, title: string, body: string, baseRefName: string}}
+ */
+function normalizePR(pr) {
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    body: pr.body || '',
+    baseRefName: pr.base.ref,
+  };
+}
+
+/**
+ * Create a PR host backed by the Gitea (and Forgejo) REST API
+ * @param {object} context - Host context
+ * @param {string} context.token - Gitea access token
+ * @param {{host: string, owner: string, repo: string}} context.target - Repository the PR is opened against
+ * @param {{host: string, owner: string, repo: string}} context.source - Repository the branch is pushed to
+ * @param {string} context.branch - Head branch name
+ * @param {string} [context.apiUrl] - API root, defaults to https://<host>/api/v1
+ * @param {number} [context.timeout] - Request timeout in milliseconds (none by default)
+ * @returns {object} PR host
+ */
+function createGiteaHost({ token, target, source, branch, apiUrl, timeout }) {
+  const client = axios.create({
+    timeout,
+    baseURL: (apiUrl || `https://${target.host}/api/v1`).replace(/\/+$/, ''),
+    headers: {
+      'Authorization': `token ${token}`,
+      'User-Agent': 'pr-automator',
+    },
+  });
+  const repoPath = `/repos/${encodeURIComponent(target.owner)}/${encodeURIComponent(target.repo)}`;
+  const isFork = source.owner !== target.owner;
+  const head = isFork ? `${source.owner}:${branch}` : branch;
+
+  const listLabels = async () => {
+    const labels = [];
+    for (let page = 1; page <= MAX_LABEL_PAGES; page++) {
+      const response = await client.get(`${repoPath}/labels`, { params: { limit: PAGE_SIZE, page } });
+      labels.push(...response.data);
+      if (response.data.length < PAGE_SIZE) {
+        break;
+      }
+    }
+    return labels;
+  };
+
+  return {
+    name: 'Gitea (REST API)',
+
+    /**
+     * Find the open PR of the current branch
+     * @returns {Promise<object|null>} Existing PR or null
+     */
+    async findPR() {
+      for (let page = 1; ; page++) {
+        const response = await client.get(`${repoPath}/pulls`, {
+          params: { state: 'open', limit: PAGE_SIZE, page },
+        });
+        const match = response.data.find(pr => pr.head.ref === branch
+          && (!isFork || pr.head.repo?.owner?.login === source.owner));
+        if (match) {
+          return normalizePR(match);
+        }
+        if (response.data.length < PAGE_SIZE) {
+          return null;
+        }
+      }
+    },
+
+    /**
+     * Create a PR for the current branch
+     * Drafts get a "WIP:" title prefix, which Gitea and Forgejo treat as work in progress.
+     * @param {{title: string, body: string, base?: string, draft?: boolean}} pr - PR fields
+     * @returns {Promise<object>} Created PR
+     */
+    async createPR({ title, body, base, draft = false }) {
+      let baseBranch = base;
+      if (!baseBranch) {
+        baseBranch = (await client.get(repoPath)).data.default_branch;
+      }
+      const response = await client.post(`${repoPath}/pulls`, { title: draft ? `WIP: ${title}` : title, body, head, base: baseBranch });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Update an existing PR
+     * @param {object} existing - PR returned by findPR
+     * @param {{title: string, body: string, base?: string}} pr - New PR fields
+     * @returns {Promise<object>} Updated PR
+     */
+    async updatePR(existing, { title, body, base }) {
+      const response = await client.patch(`${repoPath}/pulls/${existing.number}`, {
+        title,
+        body,
+        ...(base && base !== existing.baseRefName ? { base } : {}),
+      });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Get the names of the repository's labels
+     * @returns {Promise<string[]>} Label names
+     */
+    async getLabels() {
+      return (await listLabels()).map(label => label.name);
+    },
+
+    /**
+     * Get the login of the token's user
+     * @returns {Promise<string>} User name
+     */
+    async getCurrentUser() {
+      return (await client.get('/user')).data.login;
+    },
+
+    /**
+     * Add labels to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} labels - Label names
+     */
+    async addLabels(pr, labels) {
+      const ids = new Map((await listLabels()).map(label => [label.name, label.id]));
+      const missing = labels.filter(label => !ids.has(label));
+      if (missing.length > 0) {
+        throw new Error(`Label(s) not found: ${missing.join(', ')}`);
+      }
+      await client.post(`${repoPath}/issues/${pr.number}/labels`, { labels: labels.map(label => ids.get(label)) });
+    },
+
+    /**
+     * Request reviews from users and teams
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} reviewers - User names, or org/team for teams
+     */
+    async requestReviewers(pr, reviewers) {
+      await client.post(`${repoPath}/pulls/${pr.number}/requested_reviewers`, {
+        reviewers: reviewers.filter(reviewer => !reviewer.includes('/')),
+        team_reviewers: reviewers.filter(reviewer => reviewer.includes('/')).map(team => team.split('/').pop()),
+      });
+    },
+
+    /**
+     * Assign users to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} assignees - User names
+     */
+    async addAssignees(pr, assignees) {
+      await client.patch(`${repoPath}/issues/${pr.number}`, { assignees });
+    },
+
+    /**
+     * Set the milestone of a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string} title - Title of an open milestone
+     */
+    async setMilestone(pr, title) {
+      const milestones = (await client.get(`${repoPath}/milestones`, { params: { name: title, state: 'open' } })).data;
+      const milestone = milestones.find(candidate => candidate.title === title);
+      if (!milestone) {
+        throw new Error(`Milestone "${title}" not found`);
+      }
+      await client.patch(`${repoPath}/issues/${pr.number}`, { milestone: milestone.id });
+    },
+
+    /**
+     * Get the title and URL of an issue
+     * @param {number} number - Issue number
+     * @returns {Promise<{number: number, title: string, url: string}|null>} Issue, or null if it does not exist
+     */
+    async getIssue(number) {
+      try {
+        const response = await client.get(`${repoPath}/issues/${number}`);
+        return { number: response.data.number, title: response.data.title, url: response.data.html_url };
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  TOKEN_ENV_VARS,
+  createGiteaHost
+};
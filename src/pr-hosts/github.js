@@ -0,0 +1,199 @@
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const TOKEN_ENV_VARS = ['GITHUB_TOKEN', 'GH_TOKEN'];
+
+// Label pages fetched at most (100 labels each)
+const MAX_LABEL_PAGES = 10;
+
+/**
+ * Get the REST API root of a GitHub instance
+ * @param {string} host - Hostname from the remote URL
+ * @returns {string} API root (GitHub Enterprise uses /api/v3)
+ */
+function getDefaultApiUrl(host) {
+  return !host || host === 'github.com' ? DEFAULT_API_URL : `https://${host}/api/v3`;
+}
+
+/**
+ * Convert a REST pull request into the shape used by the rest of the tool
+ * @param {object} pr - Pull request from the GitHub API
+ * @returns {{number: number, url: string, title: string, body: string, baseRefName: string}}
+ */
+function normalizePR(pr) {
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    body: pr.body || '',
+    baseRefName: pr.base.ref,
+  };
+}
+
+/**
+ * Create a PR host backed by the GitHub REST API
+ * @param {object} context - Host context
+ * @param {string} context.token - GitHub token
+ * @param {{host: string, owner: string, repo: string}} context.target - Repository the PR is opened against
+ * @param {{host: string, owner: string, repo: string}} context.source - Repository the branch is pushed to
+ * @param {string} context.branch - Head branch name
+ * @param {string} [context.apiUrl] - API root, overrides the one derived from the host
+ * @param {number} [context.timeout] - Request timeout in milliseconds (none by default)
+ * @returns {object} PR host
+ */
+function createGitHubHost({ token, target, source, branch, apiUrl, timeout }) {
+  const { owner, repo } = target;
+  const client = axios.create({
+    timeout,
+    baseURL: (apiUrl || getDefaultApiUrl(target.host)).replace(/\/+$/, ''),
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      'User-Agent': 'pr-automator',
+    },
+  });
+  const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const qualifiedHead = `${source.owner}:${branch}`;
+
+  return {
+    name: 'GitHub (REST API)',
+
+    /**
+     * Find the open PR of the current branch
+     * @returns {Promise<object|null>} Existing PR or null
+     */
+    async findPR() {
+      const response = await client.get(`${repoPath}/pulls`, {
+        params: { head: qualifiedHead, state: 'open', per_page: 1 },
+      });
+      return response.data.length > 0 ? normalizePR(response.data[0]) : null;
+    },
+
+    /**
+     * Create a PR for the current branch
+     * @param {{title: string, body: string, base?: string, draft?: boolean}} pr - PR fields
+     * @returns {Promise<object>} Created PR
+     */
+    async createPR({ title, body, base, draft = false }) {
+      let baseBranch = base;
+      if (!baseBranch) {
+        baseBranch = (await client.get(repoPath)).data.default_branch;
+      }
+      const response = await client.post(`${repoPath}/pulls`, {
+        title,
+        body,
+        head: qualifiedHead,
+        base: baseBranch,
+        draft,
+      });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Update an existing PR
+     * @param {object} existing - PR returned by findPR
+     * @param {{title: string, body: string, base?: string}} pr - New PR fields
+     * @returns {Promise<object>} Updated PR
+     */
+    async updatePR(existing, { title, body, base }) {
+      const response = await client.patch(`${repoPath}/pulls/${existing.number}`, {
+        title,
+        body,
+        ...(base && base !== existing.baseRefName ? { base } : {}),
+      });
+      return normalizePR(response.data);
+    },
+
+    /**
+     * Get the names of the repository's labels
+     * @returns {Promise<string[]>} Label names
+     */
+    async getLabels() {
+      const labels = [];
+      for (let page = 1; page <= MAX_LABEL_PAGES; page++) {
+        const response = await client.get(`${repoPath}/labels`, { params: { per_page: 100, page } });
+        labels.push(...response.data.map(label => label.name));
+        if (response.data.length < 100) {
+          break;
+        }
+      }
+      return labels;
+    },
+
+    /**
+     * Get the login of the token's user
+     * @returns {Promise<string>} User name
+     */
+    async getCurrentUser() {
+      return (await client.get('/user')).data.login;
+    },
+
+    /**
+     * Add labels to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} labels - Label names
+     */
+    async addLabels(pr, labels) {
+      await client.post(`${repoPath}/issues/${pr.number}/labels`, { labels });
+    },
+
+    /**
+     * Request reviews from users and teams
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} reviewers - User names, or org/team for teams
+     */
+    async requestReviewers(pr, reviewers) {
+      await client.post(`${repoPath}/pulls/${pr.number}/requested_reviewers`, {
+        reviewers: reviewers.filter(reviewer => !reviewer.includes('/')),
+        team_reviewers: reviewers.filter(reviewer => reviewer.includes('/')).map(team => team.split('/').pop()),
+      });
+    },
+
+    /**
+     * Assign users to a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string[]} assignees - User names
+     */
+    async addAssignees(pr, assignees) {
+      await client.post(`${repoPath}/issues/${pr.number}/assignees`, { assignees });
+    },
+
+    /**
+     * Set the milestone of a PR
+     * @param {object} pr - PR returned by createPR or findPR
+     * @param {string} title - Title of an open milestone
+     */
+    async setMilestone(pr, title) {
+      const milestones = (await client.get(`${repoPath}/milestones`, { params: { state: 'open', per_page: 100 } })).data;
+      const milestone = milestones.find(candidate => candidate.title === title);
+      if (!milestone) {
+        throw new Error(`Milestone "${title}" not found`);
+      }
+      await client.patch(`${repoPath}/issues/${pr.number}`, { milestone: milestone.number });
+    },
+
+    /**
+     * Get the title and URL of an issue
+     * @param {number} number - Issue number
+     * @returns {Promise<{number: number, title: string, url: string}|null>} Issue, or null if it does not exist
+     */
+    async getIssue(number) {
+      try {
+        const response = await client.get(`${repoPath}/issues/${number}`);
+        return { number: response.data.number, title: response.data.title, url: response.data.html_url };
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  TOKEN_ENV_VARS,
+  createGitHubHost
+};
@@ -0,0 +1,189 @@
+const axios = require('axios');
+
+const TOKEN_ENV_VARS = ['GITLAB_TOKEN'];
+
+// Label pages fetched at most (100 labels each)
+const MAX_LABEL_PAGES = 10;
+
+/**
+ * Convert a GitLab merge request into the shape used by the rest of the tool
+ * @param {object} mr - Merge request from the GitLab API
+ * @returns {{number: number, url: string, title: string, body: string, baseRefName: string}}
+ */
+function normalizeMR(mr) {
+  return {
+    number: mr.iid,
+    url: mr.web_url,
+    title: mr.title,
+    body: mr.description || '',
+    baseRefName: mr.target_branch,
+  };
+}
+
+/**
+ * Create a PR host backed by the GitLab REST API (merge requests)
+ * @param {object} context - Host context
+ * @param {string} context.token - GitLab personal, project or group access token
+ * @param {{host: string, owner: string, repo: string}} context.target - Project the MR is opened against
+ * @param {{host: string, owner: string, repo: string}} context.source - Project the branch is pushed to
+ * @param {string} context.branch - Source branch name
+ * @param {string} [context.apiUrl] - API root, defaults to https://<host>/api/v4
+ * @param {number} [context.timeout] - Request timeout in milliseconds (none by default)
+ * @returns {object} PR host
+ */
+function createGitLabHost({ token, target, source, branch, apiUrl, timeout }) {
+  const client = axios.create({
+    timeout,
+    baseURL: (apiUrl || `https://${target.host}/api/v4`).replace(/\/+$/, ''),
+    headers: {
+      'PRIVATE-TOKEN': token,
+      'User-Agent': 'pr-automator',
+    },
+  });
+  const targetPath = `/projects/${encodeURIComponent(`${target.owner}/${target.repo}`)}`;
+  const sourcePath = `/projects/${encodeURIComponent(`${source.owner}/${source.repo}`)}`;
+  const isFork = sourcePath !== targetPath;
+
+  // Reviewers and assignees are set by user ID
+  const getUserIds = async (usernames) => Promise.all(usernames.map(async (username) => {
+    const users = (await client.get('/users', { params: { username } })).data;
+    if (users.length === 0) {
+      throw new Error(`User "${username}" not found`);
+    }
+    return users[0].id;
+  }));
+
+  return {
+    name: 'GitLab (REST API)',
+
+    /**
+     * Find the open merge request of the current branch
+     * @returns {Promise<object|null>} Existing MR or null
+     */
+    async findPR() {
+      const response = await client.get(`${targetPath}/merge_requests`, {
+        params: { source_branch: branch, state: 'opened', per_page: 1 },
+      });
+      return response.data.length > 0 ? normalizeMR(response.data[0]) : null;
+    },
+
+    /**
+     * Create a merge request for the current branch
+     * Fork MRs are created on the source project with a target_project_id; drafts get a "Draft:" title prefix.
+     * @param {{title: string, body: string, base?: string, draft?: boolean}} pr - MR fields
+     * @returns {Promise<object>} Created MR
+     */
+    async createPR({ title, body, base, draft = false }) {
+      const project = (await client.get(targetPath)).data;
+      const response = await client.post(`${isFork ? sourcePath : targetPath}/merge_requests`, {
+        source_branch: branch,
+        target_branch: base || project.default_branch,
+        title: draft ? `Draft: ${title}` : title,
+        description: body,
+        ...(isFork ? { target_project_id: project.id } : {}),
+      });
+      return normalizeMR(response.data);
+    },
+
+    /**
+     * Update an existing merge request
+     * @param {object} existing - MR returned by findPR
+     * @param {{title: string, body: string, base?: string}} pr - New MR fields
+     * @returns {Promise<object>} Updated MR
+     */
+    async updatePR(existing, { title, body, base }) {
+      const response = await client.put(`${targetPath}/merge_requests/${existing.number}`, {
+        title,
+        description: body,
+        ...(base && base !== existing.baseRefName ? { target_branch: base } : {}),
+      });
+      return normalizeMR(response.data);
+    },
+
+    /**
+     * Get the names of the project's labels, including inherited group labels
+     * @returns {Promise<string[]>} Label names
+     */
+    async getLabels() {
+      const labels = [];
+      for (let page = 1; page <= MAX_LABEL_PAGES; page++) {
+        const response = await client.get(`${targetPath}/labels`, { params: { per_page: 100, page } });
+        labels.push(...response.data.map(label => label.name));
+        if (response.data.length < 100) {
+          break;
+        }
+      }
+      return labels;
+    },
+
+    /**
+     * Get the username of the token's user
+     * @returns {Promise<string>} User name
+     */
+    async getCurrentUser() {
+      return (await client.get('/user')).data.username;
+    },
+
+    /**
+     * Add labels to a merge request
+     * @param {object} pr - MR returned by createPR or findPR
+     * @param {string[]} labels - Label names
+     */
+    async addLabels(pr, labels) {
+      await client.put(`${targetPath}/merge_requests/${pr.number}`, { add_labels: labels.join(',') });
+    },
+
+    /**
+     * Request reviews from users
+     * @param {object} pr - MR returned by createPR or findPR
+     * @param {string[]} reviewers - User names (groups cannot be reviewers)
+     */
+    async requestReviewers(pr, reviewers) {
+      await client.put(`${targetPath}/merge_requests/${pr.number}`, { reviewer_ids: await getUserIds(reviewers) });
+    },
+
+    /**
+     * Assign users to a merge request
+     * @param {object} pr - MR returned by createPR or findPR
+     * @param {string[]} assignees - User names
+     */
+    async addAssignees(pr, assignees) {
+      await client.put(`${targetPath}/merge_requests/${pr.number}`, { assignee_ids: await getUserIds(assignees) });
+    },
+
+    /**
+     * Set the milestone of a merge request
+     * @param {object} pr - MR returned by createPR or findPR
+     * @param {string} title - Title of an active project milestone
+     */
+    async setMilestone(pr, title) {
+      const milestones = (await client.get(`${targetPath}/milestones`, { params: { title, state: 'active' } })).data;
+      if (milestones.length === 0) {
+        throw new Error(`Milestone "${title}" not found`);
+      }
+      await client.put(`${targetPath}/merge_requests/${pr.number}`, { milestone_id: milestones[0].id });
+    },
+
+    /**
+     * Get the title and URL of an issue
+     * @param {number} number - Issue number
+     * @returns {Promise<{number: number, title: string, url: string}|null>} Issue, or null if it does not exist
+     */
+    async getIssue(number) {
+      try {
+        const response = await client.get(`${targetPath}/issues/${number}`);
+        return { number: response.data.iid, title: response.data.title, url: response.data.web_url };
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  TOKEN_ENV_VARS,
+  createGitLabHost
+};
@@ -0,0 +1,198 @@
+const { createGhCliHost } = require('./gh-cli');
+const github = require('./github');
+const gitlab = require('./gitlab');
+const gitea = require('./gitea');
+const bitbucket = require('./bitbucket');
+const { DEFAULT_REMOTE, getCurrentBranch, getRemoteUrl, getPushRemote } = require('../git');
+
+// A forge that stops answering fails the request instead of blocking pra forever
+const HOST_REQUEST_TIMEOUT_MS = 30000;
+
+const PR_HOSTS = {
+  github: { name: 'GitHub', createHost: github.createGitHubHost, tokenEnvVars: github.TOKEN_ENV_VARS },
+  gitlab: { name: 'GitLab', createHost: gitlab.createGitLabHost, tokenEnvVars: gitlab.TOKEN_ENV_VARS },
+  gitea: { name: 'Gitea', createHost: gitea.createGiteaHost, tokenEnvVars: gitea.TOKEN_ENV_VARS },
+  bitbucket: { name: 'Bitbucket', createHost: bitbucket.createBitbucketHost, tokenEnvVars: bitbucket.TOKEN_ENV_VARS },
+};
+
+/**
+ * Parse a git remote URL into host, owner and repository
+ * Supports SSH (`git@host:owner/repo.git`, `ssh://git@host:22/owner/repo`) and HTTP(S) URLs.
+ * The owner keeps every path segment but the last, so nested groups work.
+ * @param {string} url - Remote URL
+ * @returns {{host: string, owner: string, repo: string}|null} Parsed remote or null
+ */
+function parseRemoteUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  let host;
+  let repoPath;
+  const scpLike = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+
+  if (scpLike && !/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    [, host, repoPath] = scpLike;
+  } else {
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname;
+      repoPath = parsed.pathname;
+    } catch {
+      return null;
+    }
+  }
+
+  const segments = repoPath.replace(/\.git$/, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  if (segments.length < 2) {
+    return null;
+  }
+
+  return {
+    host,
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments[segments.length - 1],
+  };
+}
+
+/**
+ * Get the names of the supported PR hosts
+ * @returns {string[]} PR host types
+ */
+function getPRHostTypes() {
+  return Object.keys(PR_HOSTS);
+}
+
+/**
+ * Detect the forge that hosts a remote
+ * Self-hosted instances are recognized when their hostname mentions the forge
+ * (e.g. gitlab.example.com); otherwise set PR_HOST explicitly.
+ * @param {object} [options] - Options
+ * @param {string} [options.type] - Explicit PR host type, wins over detection
+ * @param {string} [options.remote] - Remote to inspect
+ * @returns {string} PR host type (github, gitlab, gitea or bitbucket)
+ */
+function detectPRHostType(options = {}) {
+  if (options.type) {
+    if (!PR_HOSTS[options.type]) {
+      throw new Error(`Unknown PR host "${options.type}". Supported hosts: ${getPRHostTypes().join(', ')}`);
+    }
+    return options.type;
+  }
+
+  const host = (parseRemoteUrl(getRemoteUrl(options.remote || DEFAULT_REMOTE))?.host || '').toLowerCase();
+  if (host.includes('gitlab')) {
+    return 'gitlab';
+  }
+  if (host.includes('bitbucket')) {
+    return 'bitbucket';
+  }
+  if (host.includes('gitea') || host.includes('forgejo') || host === 'codeberg.org') {
+    return 'gitea';
+  }
+  return 'github';
+}
+
+/**
+ * Get the API token of a PR host from options or the environment
+ * @param {string} type - PR host type
+ * @param {string} [token] - Explicitly configured token
+ * @returns {string} Token, or an empty string if none is available
+ */
+function getHostToken(type, token) {
+  if (token) {
+    return token;
+  }
+  const envVar = PR_HOSTS[type].tokenEnvVars.find(name => process.env[name]);
+  return envVar ? process.env[envVar] : '';
+}
+
+/**
+ * Get the GitHub token from options or the environment
+ * @param {string} [token] - Explicitly configured token
+ * @returns {string} Token, or an empty string if none is available
+ */
+function getGitHubToken(token) {
+  return getHostToken('github', token);
+}
+
+/**
+ * Check whether PRs will go through the gh CLI
+ * @param {object} [options] - Same options as getPRHost
+ * @returns {boolean} True for GitHub without an API token
+ */
+function usesGhCli(options = {}) {
+  const type = detectPRHostType(options);
+  return type === 'github' && !getHostToken(type, options.token);
+}
+
+/**
+ * Get the PR host for the current repository
+ * GitLab, Gitea and Bitbucket always use their REST APIs; GitHub uses the REST
+ * API when a token is available and falls back to the gh CLI.
+ * @param {object} [options] - Host options
+ * @param {string} [options.remote] - Remote that holds the base branch
+ * @param {string} [options.type] - PR host type (detected from the remote URL by default)
+ * @param {string} [options.token] - API token (defaults to the host's environment variables)
+ * @param {string} [options.apiUrl] - API root (for self-hosted instances or a mock server)
+ * @param {number} [options.timeout] - Request timeout in milliseconds (30 seconds by default)
+ * @param {string} [options.branch] - Head branch of the PR (defaults to the checked out branch, needed in CI where HEAD is detached)
+ * @returns {object} PR host with findPR, createPR, updatePR and getIssue methods, and the PR
+ *   metadata methods the forge supports (getLabels, getCurrentUser, addLabels, requestReviewers,
+ *   addAssignees, setMilestone)
+ */
+function getPRHost(options = {}) {
+  const type = detectPRHostType(options);
+  const token = getHostToken(type, options.token);
+
+  if (!token) {
+    if (type === 'github') {
+      return createGhCliHost({ branch: options.branch });
+    }
+    const envVars = PR_HOSTS[type].tokenEnvVars.join(' or ');
+    throw new Error(`${PR_HOSTS[type].name} requires an API token. Set ${envVars} or run "pra config ${PR_HOSTS[type].tokenEnvVars[0]} <token>".`);
+  }
+
+  const remote = options.remote || DEFAULT_REMOTE;
+  const target = parseRemoteUrl(getRemoteUrl(remote));
+  if (!target) {
+    throw new Error(`Could not determine the repository from remote "${remote}".`);
+  }
+
+  // In a fork workflow the branch lives in another repository than the PR target
+  const branch = options.branch || getCurrentBranch();
+  const pushRemote = getPushRemote(branch);
+  const source = (pushRemote !== remote && parseRemoteUrl(getRemoteUrl(pushRemote))) || target;
+
+  const apiUrl = options.apiUrl || (type === 'github' ? process.env.GITHUB_API_URL : '');
+  const timeout = options.timeout || HOST_REQUEST_TIMEOUT_MS;
+  return PR_HOSTS[type].createHost({ token, target, source, branch, apiUrl, timeout });
+}
+
+/**
+ * Describe a PR host error in one line
+ * @param {Error} error - Error thrown by a host
+ * @returns {string} Error description
+ */
+function describeHostError(error) {
+  if (!error.response) {
+    return error.message;
+  }
+  const { status, data } = error.response;
+  // GitHub/Gitea: {message, errors}, GitLab: {message|error}, Bitbucket: {error: {message}}
+  const rawMessage = data?.message || data?.error?.message || data?.error || '';
+  const message = typeof rawMessage === 'string' ? rawMessage : JSON.stringify(rawMessage);
+  const details = (Array.isArray(data?.errors) ? data.errors : []).map(e => e.message || e.code).filter(Boolean).join('; ');
+  return `${status} ${message}${details ? ` (${details})` : ''}`.trim();
+}
+
+module.exports = {
+  parseRemoteUrl,
+  getPRHostTypes,
+  detectPRHostType,
+  getHostToken,
+  getGitHubToken,
+  usesGhCli,
+  getPRHost,
+  describeHostError
+};
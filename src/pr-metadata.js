@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./redact');
+
+// Where GitHub, GitLab and Gitea look for CODEOWNERS, in order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', '.gitlab/CODEOWNERS', '.gitea/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Label names commonly used for each conventional commit type
+const TYPE_LABELS = {
+  feat: ['enhancement', 'feature', 'feat', 'type: feature', 'kind/feature'],
+  fix: ['bug', 'fix', 'bugfix', 'type: bug', 'kind/bug'],
+  docs: ['documentation', 'docs', 'type: docs', 'kind/documentation'],
+  refactor: ['refactor', 'refactoring', 'type: refactor', 'kind/cleanup'],
+  perf: ['performance', 'perf', 'type: performance'],
+  test: ['test', 'tests', 'testing'],
+  build: ['build', 'dependencies'],
+  ci: ['ci', 'github_actions'],
+  chore: ['chore', 'maintenance'],
+  style: ['style'],
+};
+
+/**
+ * Get the conventional commit type of a PR title
+ * @param {string} title - PR title, possibly starting with an emoji ("✨ feat(cli): ...")
+ * @returns {string|null} Type such as feat or fix, or null
+ */
+function parseCommitType(title) {
+  const match = title.replace(/^[^A-Za-z]+/, '').match(/^([a-z]+)(?:\([^)]*\))?!?:/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Pick the labels of a PR out of the repository's label set
+ * Combines the model's suggestions, a type label from the title and area labels
+ * matching the changed paths (e.g. "area/cli" or "area: cli" for src/cli.js).
+ * @param {object} context - PR context
+ * @param {string} context.title - PR title
+ * @param {string[]} context.files - Changed files
+ * @param {string[]} [context.suggested] - Labels suggested by the model
+ * @param {string[]} context.available - Labels that exist on the PR host
+ * @returns {string[]} Labels, spelled as on the host
+ */
+function suggestLabels({ title, files, suggested = [], available }) {
+  const byName = new Map(available.map(label => [label.toLowerCase(), label]));
+  const labels = new Set();
+  const add = (name) => {
+    const label = byName.get(name.toLowerCase());
+    if (label) {
+      labels.add(label);
+    }
+  };
+
+  suggested.forEach(add);
+
+  const type = parseCommitType(title);
+  const typeLabel = (TYPE_LABELS[type] || []).find(name => byName.has(name));
+  if (typeLabel) {
+    add(typeLabel);
+  }
+
+  const areas = new Set(files.flatMap(file => file.split('/').map(segment => segment.replace(/\.[^.]+$/, ''))));
+  areas.forEach((area) => {
+    [`area/${area}`, `area: ${area}`, `area:${area}`, `area-${area}`].forEach(add);
+  });
+
+  return [...labels];
+}
+
+/**
+ * Find the CODEOWNERS file of a repository
+ * @param {string} repoRoot - Repository root
+ * @returns {string|null} Path of the file, or null
+ */
+function findCodeOwnersFile(repoRoot) {
+  const found = CODEOWNERS_PATHS.map(file => path.join(repoRoot, file)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Get the code owners of a set of files
+ * The last matching CODEOWNERS rule wins, as on GitHub. GitLab section headers
+ * ("[Docs]") are skipped and e-mail owners are left out because hosts request
+ * reviews by user or team name.
+ * @param {string} repoRoot - Repository root
+ * @param {string[]} files - Changed files
+ * @returns {string[]} Users and org/team names without the leading @
+ */
+function getCodeOwners(repoRoot, files) {
+  const codeOwnersFile = findCodeOwnersFile(repoRoot);
+  if (!codeOwnersFile) {
+    return [];
+  }
+
+  const rules = fs.readFileSync(codeOwnersFile, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('#') && !/^\^?\[.*\]/.test(line))
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern: globToRegExp(pattern), owners: owners.filter(owner => owner.startsWith('@')).map(owner => owner.slice(1)) };
+    });
+
+  const owners = new Set();
+  files.forEach((file) => {
+    const rule = [...rules].reverse().find(({ pattern }) => pattern.test(file));
+    (rule ? rule.owners : []).forEach(owner => owners.add(owner));
+  });
+  return [...owners];
+}
+
+module.exports = {
+  parseCommitType,
+  suggestLabels,
+  findCodeOwnersFile,
+  getCodeOwners
+};
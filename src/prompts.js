@@ -0,0 +1,506 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Prompt template locations, highest priority first (after an explicit path)
+const REPO_TEMPLATE_FILES = ['.pr-automator-prompt.md', path.join('.github', 'pr-automator-prompt.md')];
+const GLOBAL_TEMPLATE_FILE = path.join(os.homedir(), '.pr-automator-prompt.md');
+
+// Where GitHub, GitLab and Gitea look for a repository's pull request template
+const PR_TEMPLATE_FILES = [
+  path.join('.github', 'pull_request_template.md'),
+  path.join('.github', 'PULL_REQUEST_TEMPLATE.md'),
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  path.join('docs', 'pull_request_template.md'),
+  path.join('docs', 'PULL_REQUEST_TEMPLATE.md'),
+  path.join('.gitlab', 'merge_request_templates', 'Default.md'),
+  path.join('.gitea', 'pull_request_template.md'),
+];
+
+const DEFAULT_OUTPUT_FORMAT = `**Output Format Requirements:**
+Please generate the content in Markdown format, strictly following this structure:
+
+---
+**Title:** A conventional commit style title (e.g., "feat:", "fix:", "docs:", "style:", "refactor:", "perf:", "test:"). Start with a relevant emoji.
+**Overview:** A brief, high-level summary of what this PR accomplishes.
+**Key Features Implemented:**
+- 🌟 [Emoji] A bullet point list describing each major feature or change.
+- 🐛 [Emoji] Highlight bug fixes.
+- 🛠️ [Emoji] Detail refactoring or technical improvements.
+**Technical Details:**
+- Explain the "how" behind the changes. Mention specific files, functions, algorithms, or architectural decisions.
+- If there are important dependencies or configuration changes, note them here.
+**Future Enhancements:**
+- (Optional) Suggest potential future improvements, next steps, or open questions related to these changes.
+---`;
+
+const STRUCTURED_OUTPUT_FORMAT = `**Output Format Requirements:**
+Respond with a single JSON object, without Markdown code fences or any other text, with these fields:
+- "title": a conventional commit style title (e.g., "feat:", "fix:", "docs:", "refactor:", "perf:", "test:") starting with a relevant emoji.
+- "summary": a brief, high-level summary of what this PR accomplishes.
+- "changes": an array with one entry per major feature, bug fix or refactoring; mention specific files, functions or architectural decisions.
+- "breaking_changes": an array describing changes that break existing users or need a migration (empty if there are none).
+- "testing": an array of notes on how the changes were or should be tested.
+- "labels": an array of suggested labels (e.g., "bug", "enhancement", "documentation", "refactor", "dependencies").`;
+
+// Label names listed in the prompt at most
+const MAX_LABEL_CHOICES = 100;
+
+// Language codes accepted by LANGUAGE; other values are passed to the model as they are
+const LANGUAGE_NAMES = {
+  en: 'English',
+  zh: 'Simplified Chinese',
+  'zh-cn': 'Simplified Chinese',
+  'zh-tw': 'Traditional Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  it: 'Italian',
+  ru: 'Russian',
+};
+
+// A description is written in at most two languages: the main one and a translation
+const MAX_LANGUAGES = 2;
+
+// Tones of a PR description; professional is the built-in prompt's own register
+const TONE_INSTRUCTIONS = {
+  professional: '',
+  friendly: 'Use a warm, friendly tone, as if explaining the change to a teammate. Stay accurate and specific.',
+  casual: 'Use a relaxed, conversational tone with short sentences and plain words. Stay accurate and specific.',
+  formal: 'Use a formal, impersonal tone suitable for audited or regulated projects. Avoid slang and exclamations.',
+};
+
+// How much a PR description says; standard is the built-in prompt's own length
+const DETAIL_INSTRUCTIONS = {
+  brief: 'Keep the description terse: a one-sentence overview and at most five short bullet points in total. Leave out optional and empty sections.',
+  standard: '',
+  detailed: 'Be thorough: explain the motivation, cover every change with the files and functions involved, and describe risks, migration steps and how to test.',
+};
+
+const TONES = Object.keys(TONE_INSTRUCTIONS);
+const DETAIL_LEVELS = Object.keys(DETAIL_INSTRUCTIONS);
+
+/**
+ * Expand a leading ~ in a path to the home directory
+ * @param {string} filePath - Path that may start with ~
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+/**
+ * Read the first existing file out of a list of candidates
+ * @param {string[]} candidates - File paths
+ * @returns {{content: string, source: string}|null} File content and path, or null
+ */
+function readFirstExisting(candidates) {
+  const source = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  return source ? { content: fs.readFileSync(source, 'utf8'), source } : null;
+}
+
+/**
+ * Load a user-supplied prompt template
+ * Order: explicit path, repository file (.pr-automator-prompt.md or
+ * .github/pr-automator-prompt.md), configured path, ~/.pr-automator-prompt.md.
+ * @param {object} [options] - Options
+ * @param {string} [options.templatePath] - Template passed on the command line
+ * @param {string} [options.configuredPath] - Template path from the configuration (PROMPT_TEMPLATE)
+ * @param {string} [options.repoRoot] - Repository root to look for a repository template in
+ * @returns {{content: string, source: string}|null} Template and where it came from, or null for the built-in prompt
+ */
+function loadPromptTemplate({ templatePath, configuredPath, repoRoot } = {}) {
+  if (templatePath) {
+    const resolved = expandHome(templatePath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Prompt template not found: ${templatePath}`);
+    }
+    return { content: fs.readFileSync(resolved, 'utf8'), source: resolved };
+  }
+
+  return readFirstExisting([
+    ...(repoRoot ? REPO_TEMPLATE_FILES.map(file => path.join(repoRoot, file)) : []),
+    ...(configuredPath ? [expandHome(configuredPath)] : []),
+    GLOBAL_TEMPLATE_FILE,
+  ]);
+}
+
+/**
+ * Find the repository's pull request template
+ * @param {string} repoRoot - Repository root
+ * @returns {{content: string, source: string}|null} Template and its path, or null
+ */
+function findPullRequestTemplate(repoRoot) {
+  return readFirstExisting(PR_TEMPLATE_FILES.map(file => path.join(repoRoot, file)));
+}
+
+/**
+ * Replace {{placeholder}} markers in a template
+ * Unknown placeholders are left untouched.
+ * @param {string} template - Template text
+ * @param {object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Format the diff (or the summaries of a large diff) for a prompt
+ * @param {object} changes - Specific diff content for each file
+ * @param {string[]} [summaries] - Per-batch summaries used instead of the diff
+ * @returns {string} Formatted changes
+ */
+function formatChanges(changes, summaries) {
+  if (summaries) {
+    return `The full diff was too large to include, so it was summarized in ${summaries.length} part(s):
+
+${summaries.map((summary, index) => `### Part ${index + 1}\n${summary}`).join('\n\n')}`;
+  }
+
+  return `\`\`\`diff
+${JSON.stringify(changes, null, 2)}
+\`\`\``;
+}
+
+/**
+ * Format the branch, commit messages and linked issues for the built-in prompt
+ * @param {object} context - Prompt context
+ * @returns {string} Context section, or an empty string when there is nothing to add
+ */
+function formatBranchContext({ branch, base, commits, issues }) {
+  const parts = [];
+  if (branch) {
+    parts.push(`- **Branch:** ${branch}${base ? ` (compared against ${base})` : ''}`);
+  }
+  if (commits) {
+    parts.push(`- **Commit Messages:**\n\`\`\`\n${commits}\n\`\`\``);
+  }
+  if (issues) {
+    parts.push(`- **Linked Issues and Tickets:**\n${issues.replace(/^/gm, '  ')}`);
+  }
+  if (parts.length === 0) {
+    return '';
+  }
+
+  return `**Context:**
+Use the branch name, commit messages and linked issues to understand the intent of the changes.
+Closing references (e.g. "Closes #12") and ticket links are added to the body automatically, so do not write them yourself.
+${parts.join('\n')}
+`;
+}
+
+/**
+ * Restrict the suggested labels to the repository's label set
+ * @param {string[]} labels - Labels that exist on the PR host
+ * @returns {string} Instruction, or an empty string when the label set is unknown
+ */
+function formatLabelChoices(labels) {
+  if (labels.length === 0) {
+    return '';
+  }
+  const shown = labels.slice(0, MAX_LABEL_CHOICES).map(label => JSON.stringify(label)).join(', ');
+  return `\n  Only use labels that exist in this repository: ${shown}.`;
+}
+
+/**
+ * Parse the LANGUAGE setting into language names
+ * @param {string} value - One language, or two separated by a comma for a bilingual description
+ *   (codes such as "en" or "zh-CN", or names such as "Japanese")
+ * @returns {string[]} Language names, main language first; empty when no language is set
+ * @throws {Error} If more than MAX_LANGUAGES languages are given
+ */
+function parseLanguages(value) {
+  const languages = [...new Set((value || '')
+    .split(',')
+    .map(language => language.trim())
+    .filter(Boolean)
+    .map(language => LANGUAGE_NAMES[language.toLowerCase()] || language))];
+  if (languages.length > MAX_LANGUAGES) {
+    throw new Error(`At most ${MAX_LANGUAGES} languages are supported, got: ${languages.join(', ')}`);
+  }
+  return languages;
+}
+
+/**
+ * Format the language, tone and detail level instructions
+ * @param {object} style - Description style
+ * @param {string[]} [style.languages] - Languages from parseLanguages; a second language adds a translation of the body
+ * @param {string} [style.tone] - One of TONES
+ * @param {string} [style.detailLevel] - One of DETAIL_LEVELS
+ * @param {boolean} [style.structured] - The response is a JSON object rather than Markdown
+ * @returns {string} Style section, or an empty string for the defaults (English, professional, standard)
+ */
+function formatStyleInstructions({ languages = [], tone = '', detailLevel = '', structured = false }) {
+  const parts = [];
+  const [language, translation] = languages;
+
+  if (translation) {
+    parts.push(`- Write the title in ${language}. Write the body in ${language} first, then a line containing only "---", then the same body translated into ${translation}, with translated headings.`);
+  } else if (language && language !== 'English') {
+    parts.push(structured
+      ? `- Write the values of the JSON fields in ${language}. Keep the field names and the labels in English.`
+      : `- Write the title and the body in ${language}, including the headings.`);
+  }
+  if (languages.some(name => name !== 'English')) {
+    parts.push('- Keep code identifiers, file paths and the conventional commit type (feat:, fix: ...) of the title in English.');
+  }
+  if (TONE_INSTRUCTIONS[tone]) {
+    parts.push(`- ${TONE_INSTRUCTIONS[tone]}`);
+  }
+  if (DETAIL_INSTRUCTIONS[detailLevel]) {
+    parts.push(`- ${DETAIL_INSTRUCTIONS[detailLevel]}`);
+  }
+
+  return parts.length > 0 ? `\n**Language and Style:**\n${parts.join('\n')}\n` : '';
+}
+
+/**
+ * Format a request to revise an earlier draft
+ * @param {string} instructions - What the user wants changed
+ * @param {{title: string, body: string}|null} previousDraft - Draft to revise
+ * @returns {string} Revision section, or an empty string without instructions
+ */
+function formatRevisionRequest(instructions, previousDraft) {
+  if (!instructions) {
+    return '';
+  }
+
+  const draft = previousDraft
+    ? `
+Revise this previous draft instead of starting over, answering in the output format requested above:
+
+---
+**Title:** ${previousDraft.title}
+${previousDraft.body}
+---
+`
+    : '';
+
+  return `
+**Revision Request:**
+The user reviewed the description and asked for the following changes. Follow these instructions:
+${instructions}
+${draft}`;
+}
+
+/**
+ * Format the list of changed files, with the status of files that are not plain edits
+ * @param {string[]} files - List of changed files
+ * @param {object} [fileStatuses] - Status description per file, e.g. "renamed from a.js"
+ * @returns {string} Comma-separated file list
+ */
+function formatFileList(files, fileStatuses = {}) {
+  return files.map(file => (fileStatuses[file] ? `${file} (${fileStatuses[file]})` : file)).join(', ');
+}
+
+/**
+ * Build detailed instructions (Prompt) for AI
+ * A custom template replaces the built-in prompt; its placeholders are
+ * {{files}}, {{diff}}, {{commits}}, {{branch}}, {{base}}, {{issues}} and {{pr_template}}.
+ * @param {object} context - Prompt context
+ * @param {string[]} context.files - List of changed files
+ * @param {object} [context.fileStatuses] - Status description per file (added, deleted, renamed from ..., binary)
+ * @param {object} context.changes - Specific diff content for each file
+ * @param {string[]} [context.summaries] - Per-batch summaries used instead of the diff for large PRs
+ * @param {string} [context.commits] - Commit log of the branch
+ * @param {string} [context.branch] - Current branch name
+ * @param {string} [context.base] - Base ref the PR is compared against
+ * @param {string} [context.issues] - Referenced issues and tickets, one per line
+ * @param {string} [context.instructions] - Extra instructions from the user when regenerating
+ * @param {{title: string, body: string}} [context.previousDraft] - Draft the instructions refer to
+ * @param {string} [context.promptTemplate] - Custom prompt template
+ * @param {string} [context.prTemplate] - Repository pull request template to fill in
+ * @param {boolean} [context.structured] - Ask for a JSON object (see PR_DETAILS_SCHEMA) instead of Markdown
+ * @param {string[]} [context.labels] - Labels of the repository the suggested labels must come from
+ * @param {string[]} [context.languages] - Languages of the description (see parseLanguages), English by default
+ * @param {string} [context.tone] - Tone of the description, one of TONES
+ * @param {string} [context.detailLevel] - Length of the description, one of DETAIL_LEVELS
+ * @returns {string} - Constructed system prompt
+ */
+function buildAIPrompt({ files, fileStatuses = {}, changes, summaries = null, commits = '', branch = '', base = '', issues = '', instructions = '', previousDraft = null, promptTemplate = '', prTemplate = '', structured = false, labels = [], languages = [], tone = '', detailLevel = '' }) {
+  const diff = formatChanges(changes, summaries);
+  const fileList = formatFileList(files, fileStatuses);
+  const revisionRequest = formatRevisionRequest(instructions, previousDraft);
+  const style = formatStyleInstructions({ languages, tone, detailLevel, structured });
+
+  if (promptTemplate) {
+    let prompt = renderTemplate(promptTemplate, {
+      files: fileList,
+      diff,
+      commits,
+      branch,
+      base,
+      issues,
+      pr_template: prTemplate,
+    });
+
+    // The title is parsed from a "Title:" line and the model always needs the changes
+    if (!/\{\{\s*diff\s*\}\}/.test(promptTemplate)) {
+      prompt += `\n\n**Code Changes to Analyze:**\n- **Files Changed:** ${fileList}\n${diff}\n`;
+    }
+    if (!/title/i.test(promptTemplate)) {
+      prompt += '\n\nStart your response with a line of the form "**Title:** <PR title>", followed by the PR body.\n';
+    }
+    return prompt + style + revisionRequest;
+  }
+
+  const outputFormat = prTemplate
+    ? `**Output Format Requirements:**
+Start with a line of the form "**Title:** <title>", using a conventional commit style title (e.g., "feat:", "fix:", "docs:").
+Then write the PR body in Markdown by filling in this repository's pull request template below. Keep its headings,
+order and checklists; replace placeholder text and HTML comments with content derived from the changes, and only
+check a checkbox when the changes clearly satisfy it. Do not add sections the template does not have.
+
+---
+${prTemplate.trim()}
+---`
+    : (structured ? STRUCTURED_OUTPUT_FORMAT + formatLabelChoices(labels) : DEFAULT_OUTPUT_FORMAT);
+
+  return `
+You are an expert software developer and a master at writing clear, concise, and professional Pull Request descriptions.
+Your task is to analyze the provided code changes (git diff) and generate a comprehensive PR description.
+
+${outputFormat}
+${style}
+${formatBranchContext({ branch, base, commits, issues })}
+**Code Changes to Analyze:**
+- **Files Changed:** ${fileList}
+- **${summaries ? 'Change Summaries' : 'Detailed Diff'}:**
+${diff}
+${revisionRequest}
+Now, generate the PR description based on the changes provided.
+`;
+}
+
+/**
+ * Build the prompt used to summarize one batch of a large diff (map step)
+ * @param {string[]} files - Files in this batch
+ * @param {object} changes - Diff content for each file in this batch
+ * @param {number} batchNumber - 1-based batch number
+ * @param {number} batchCount - Total number of batches
+ * @returns {string} - Constructed system prompt
+ */
+function buildBatchSummaryPrompt(files, changes, batchNumber, batchCount) {
+  return `
+You are an expert software developer reviewing part ${batchNumber} of ${batchCount} of a large Pull Request.
+Summarize the code changes below so that another reviewer can write the PR description without seeing the diff.
+
+- Group related changes and name the files, functions and modules involved.
+- Call out bug fixes, behavior changes, new dependencies and configuration changes.
+- Be factual and concise (at most 300 words). Do not write a title.
+
+**Files in this part:** ${files.join(', ')}
+${formatChanges(changes)}
+`;
+}
+
+/**
+ * Build the prompt used to merge several batch summaries into one (reduce step)
+ * @param {string[]} summaries - Summaries to merge
+ * @returns {string} - Constructed system prompt
+ */
+function buildSummaryMergePrompt(summaries) {
+  return `
+You are an expert software developer. The following are summaries of different parts of one large Pull Request.
+Merge them into a single summary that keeps every distinct change, bug fix and configuration change.
+Be factual and concise (at most 400 words). Do not write a title.
+
+${summaries.map((summary, index) => `### Part ${index + 1}\n${summary}`).join('\n\n')}
+`;
+}
+
+/**
+ * Wrap a system prompt into the chat messages sent to a provider
+ * @param {string} systemPrompt - System prompt
+ * @param {string} [request] - User message asking for the output
+ * @returns {object[]} - Chat messages
+ */
+function buildMessages(systemPrompt, request = "Please generate the PR description based on the provided context.") {
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: request }
+  ];
+}
+
+/**
+ * Build the prompt that turns staged changes into a commit message
+ * @param {object} context - Prompt context
+ * @param {string[]} context.files - Staged files
+ * @param {object} context.changes - Staged diff of each file
+ * @param {string[]} [context.omitted] - Files left out to fit the context window
+ * @param {string} [context.branch] - Current branch name
+ * @param {string} [context.instructions] - Extra instructions from the user when regenerating
+ * @param {string} [context.previousDraft] - Message the instructions refer to
+ * @returns {string} - Constructed system prompt
+ */
+function buildCommitMessagePrompt({ files, changes, omitted = [], branch = '', instructions = '', previousDraft = '' }) {
+  const revision = instructions
+    ? `\n**Revision Request:**\nRevise this earlier message as follows: ${instructions}\n\n\`\`\`\n${previousDraft}\n\`\`\`\n`
+    : '';
+
+  return `
+You are an expert software developer writing a git commit message for the staged changes below.
+
+**Output Format Requirements:**
+- Use the Conventional Commits format: "<type>(<optional scope>): <description>", where type is one of
+  feat, fix, docs, style, refactor, perf, test, build, ci or chore.
+- The subject line is in the imperative mood, lower case after the colon, without a trailing period and at most 72 characters.
+- If the change needs explaining, add a blank line and a body wrapped at 72 characters that says what changed and why.
+- Add a "BREAKING CHANGE: ..." footer only when the changes break existing users.
+- Reply with the commit message only: no code fences, no emoji, no commentary.
+${branch ? `\n**Branch:** ${branch}\n` : ''}
+**Staged Changes:**
+- **Files:** ${files.join(', ')}${omitted.length > 0 ? `\n- **Also changed (diff omitted for length):** ${omitted.join(', ')}` : ''}
+${formatChanges(changes)}
+${revision}`;
+}
+
+/**
+ * Build the prompt that summarizes a range of commits into a Keep a Changelog section
+ * @param {object} context - Prompt context
+ * @param {string} context.commits - Commit log of the range
+ * @param {string} context.version - Version heading, e.g. "1.3.0" or "Unreleased"
+ * @param {string} [context.date] - Release date (YYYY-MM-DD)
+ * @returns {string} - Constructed system prompt
+ */
+function buildChangelogPrompt({ commits, version, date = '' }) {
+  const heading = version === 'Unreleased' ? '## [Unreleased]' : `## [${version}]${date ? ` - ${date}` : ''}`;
+
+  return `
+You are an expert software developer writing release notes in the Keep a Changelog format (https://keepachangelog.com).
+
+**Output Format Requirements:**
+Start with the heading "${heading}", followed by these subsections in this order, leaving out empty ones:
+### Added, ### Changed, ### Deprecated, ### Removed, ### Fixed, ### Security
+- One bullet per user-facing change, written for users of the project rather than its developers.
+- Merge commits and follow-up fixes that describe the same change into one bullet.
+- Keep pull request references such as (#12) at the end of the bullet.
+- Leave out changes that do not affect users (CI, tests, formatting, internal refactoring) unless nothing else changed.
+- Reply with the Markdown section only: no code fences and no commentary.
+
+**Commits (newest first):**
+\`\`\`
+${commits}
+\`\`\`
+`;
+}
+
+module.exports = {
+  TONES,
+  DETAIL_LEVELS,
+  parseLanguages,
+  loadPromptTemplate,
+  findPullRequestTemplate,
+  renderTemplate,
+  buildAIPrompt,
+  buildBatchSummaryPrompt,
+  buildSummaryMergePrompt,
+  buildCommitMessagePrompt,
+  buildChangelogPrompt,
+  buildMessages
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE = '.praignore';
+
+// Files that are never sent, on top of .praignore (which can re-include them with "!")
+const DEFAULT_IGNORE_PATTERNS = [
+  '.env',
+  '.env.*',
+  '!.env.example',
+  '!.env.sample',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  '*.keystore',
+  '*.jks',
+  'id_rsa',
+  'id_dsa',
+  'id_ecdsa',
+  'id_ed25519',
+  '.netrc',
+  '.pgpass',
+];
+
+// Known secret formats; a match is replaced as a whole, or only the `value` group when there is one
+const SECRET_PATTERNS = [
+  { type: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/g },
+  { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: 'gitlab-token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}\b/g },
+  { type: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{24,}\b/g },
+  { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  // OpenAI, Anthropic, DeepSeek and OpenRouter keys all start with sk-
+  { type: 'api-key', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  { type: 'url-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<value>[^\s@/]+)@/gi },
+  {
+    type: 'assigned-secret',
+    pattern: /\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)["']?\s*[:=]\s*(?<quote>["']?)(?<value>[^\s"',;(){}<>]{8,})/gi,
+  },
+];
+
+// Random-looking strings: long runs of base64/hex characters with high Shannon entropy
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/_=-]{24,}/g;
+const HIGH_ENTROPY_THRESHOLD = 4.3;
+
+/**
+ * Convert a .gitignore-style pattern into a regular expression
+ * Patterns without a slash match the file name in any directory; a leading slash
+ * anchors to the repository root and a trailing slash matches a directory.
+ * @param {string} pattern - Glob pattern (*, ** and ? are supported)
+ * @returns {RegExp} Regular expression matching repository-relative paths
+ */
+function globToRegExp(pattern) {
+  const directory = pattern.endsWith('/');
+  let glob = pattern.replace(/\/+$/, '');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  const source = glob
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}${directory ? '/' : '(?:/|$)'}`);
+}
+
+/**
+ * Read the ignore patterns of a repository: the defaults followed by .praignore
+ * @param {string} repoRoot - Repository root
+ * @returns {string[]} Patterns, in order; later patterns win
+ */
+function loadIgnorePatterns(repoRoot) {
+  const ignorePath = path.join(repoRoot, IGNORE_FILE);
+  const custom = fs.existsSync(ignorePath)
+    ? fs.readFileSync(ignorePath, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'))
+    : [];
+  return [...DEFAULT_IGNORE_PATTERNS, ...custom];
+}
+
+/**
+ * Check whether a file must not be sent
+ * @param {string} file - Repository-relative path
+ * @param {string[]} patterns - Patterns from loadIgnorePatterns
+ * @returns {boolean} True if the last matching pattern ignores the file
+ */
+function isIgnored(file, patterns) {
+  let ignored = false;
+  patterns.forEach((pattern) => {
+    const negated = pattern.startsWith('!');
+    if (globToRegExp(negated ? pattern.slice(1) : pattern).test(file)) {
+      ignored = !negated;
+    }
+  });
+  return ignored;
+}
+
+/**
+ * Compute the Shannon entropy of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Check whether a string looks like a generated secret rather than code or prose
+ * @param {string} candidate - String of base64/hex characters
+ * @returns {boolean} True for random-looking strings
+ */
+function isHighEntropy(candidate) {
+  // Identifiers and paths are mostly letters; keys mix upper case, lower case and digits
+  const classes = [/[a-z]/, /[A-Z]/, /\d/].filter(pattern => pattern.test(candidate)).length;
+  return classes === 3 && shannonEntropy(candidate) >= HIGH_ENTROPY_THRESHOLD;
+}
+
+/**
+ * Replace secrets in a piece of text with placeholders
+ * @param {string} text - Text to redact (a diff, commit log ...)
+ * @returns {{text: string, findings: string[]}} Redacted text and the type of every replaced secret
+ */
+function redactText(text) {
+  const findings = [];
+  let redacted = text || '';
+
+  SECRET_PATTERNS.forEach(({ type, pattern }) => {
+    redacted = redacted.replace(pattern, (match, ...args) => {
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : {};
+      const { value, quote } = groups;
+      // Unquoted names without digits are code (token = config.apiToken), not secrets
+      const isReference = quote === '' && /^[A-Za-z_$][\w$.]*$/.test(value) && !/\d/.test(value);
+      if (value && (value.startsWith('[REDACTED') || isReference)) {
+        return match;
+      }
+      findings.push(type);
+      return value ? match.replace(value, `[REDACTED:${type}]`) : `[REDACTED:${type}]`;
+    });
+  });
+
+  redacted = redacted.replace(HIGH_ENTROPY_CANDIDATE, (match) => {
+    if (!isHighEntropy(match)) {
+      return match;
+    }
+    findings.push('high-entropy-string');
+    return '[REDACTED:high-entropy-string]';
+  });
+
+  return { text: redacted, findings };
+}
+
+/**
+ * Drop ignored files and redact secrets from the diffs that will be sent
+ * Hunks are redacted one at a time, so secrets spanning several lines (private keys) are caught;
+ * file and hunk headers are redacted too. A file is dropped when its old or new path is ignored.
+ * @param {object[]} entries - Parsed diff of each changed file (see getChangedFileEntries)
+ * @param {string[]} ignorePatterns - Patterns from loadIgnorePatterns
+ * @returns {{entries: object[], ignored: string[], redactions: {file: string, findings: string[]}[]}} Entries to send
+ */
+function redactChanges(entries, ignorePatterns) {
+  const kept = [];
+  const ignored = [];
+  const redactions = [];
+
+  entries.forEach((entry) => {
+    // A renamed .env is still a .env, whatever it is called now
+    if ([entry.file, entry.oldFile].some(file => file && isIgnored(file, ignorePatterns))) {
+      ignored.push(entry.file);
+      return;
+    }
+    const findings = [];
+    const redact = (text) => {
+      const redacted = redactText(text);
+      findings.push(...redacted.findings);
+      return redacted.text;
+    };
+    // Hunk headers carry a line of function context, which can be the secret itself
+    const header = entry.header.length > 0 ? redact(entry.header.join('\n')).split('\n') : [];
+    const hunks = entry.hunks.map(hunk => ({
+      ...hunk,
+      header: redact(hunk.header),
+      lines: redact(hunk.lines.join('\n')).split('\n'),
+    }));
+    kept.push({ ...entry, header, hunks });
+    if (findings.length > 0) {
+      redactions.push({ file: entry.file, findings });
+    }
+  });
+
+  return { entries: kept, ignored, redactions };
+}
+
+/**
+ * Summarize redaction findings, e.g. "2 × api-key, 1 × jwt"
+ * @param {string[]} findings - Types of the replaced secrets
+ * @returns {string} Summary
+ */
+function summarizeFindings(findings) {
+  const counts = {};
+  findings.forEach((type) => {
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  return Object.entries(counts).map(([type, count]) => `${count} × ${type}`).join(', ');
+}
+
+module.exports = {
+  globToRegExp,
+  loadIgnorePatterns,
+  isIgnored,
+  redactText,
+  redactChanges,
+  summarizeFindings
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writePrivateFile } = require('./secret-store');
+
+// Cached descriptions older than this are regenerated
+const DEFAULT_MAX_AGE_DAYS = 7;
+
+// Least recently used entries are evicted above this total size
+const DEFAULT_MAX_SIZE_MB = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the cache key of a request
+ * @param {object} parts - Everything the response depends on (provider, model, prompt ...)
+ * @returns {string} SHA-256 hex digest
+ */
+function computeCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Create a cache of generated responses, one JSON file per entry
+ * Entries expire after maxAgeDays; when the cache grows beyond maxSizeMB the least
+ * recently used entries are removed. Files are only readable by the current user
+ * because descriptions can quote private code.
+ * @param {object} options - Options
+ * @param {string} options.dir - Cache directory
+ * @param {number} [options.maxAgeDays] - Age after which entries expire (default 7)
+ * @param {number} [options.maxSizeMB] - Maximum total size of the entries (default 10)
+ * @returns {object} Response cache
+ */
+function createResponseCache({ dir, maxAgeDays = DEFAULT_MAX_AGE_DAYS, maxSizeMB = DEFAULT_MAX_SIZE_MB }) {
+  const maxAge = maxAgeDays * DAY_MS;
+  const maxSize = maxSizeMB * 1024 * 1024;
+  const entryPath = key => path.join(dir, `${key}.json`);
+
+  // Entries with their size, skipping files that are not valid entries
+  const readEntries = () => {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map((name) => {
+        const file = path.join(dir, name);
+        try {
+          return { file, size: fs.statSync(file).size, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  };
+
+  const isExpired = entry => Date.now() - entry.createdAt > maxAge;
+
+  return {
+    dir,
+    maxAgeDays,
+    maxSizeMB,
+
+    /**
+     * Look up a response
+     * @param {string} key - Key from computeCacheKey
+     * @returns {{value: object, createdAt: number}|null} Cached response, or null if missing or expired
+     */
+    get(key) {
+      const file = entryPath(key);
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch {
+        return null;
+      }
+      if (isExpired(entry)) {
+        fs.rmSync(file, { force: true });
+        return null;
+      }
+      entry.hits = (entry.hits || 0) + 1;
+      entry.usedAt = Date.now();
+      writePrivateFile(file, JSON.stringify(entry));
+      return { value: entry.value, createdAt: entry.createdAt };
+    },
+
+    /**
+     * Store a response, then evict expired and least recently used entries
+     * @param {string} key - Key from computeCacheKey
+     * @param {object} value - Response to cache
+     * @param {object} [meta] - Shown by stats, e.g. {provider, model}
+     */
+    set(key, value, meta = {}) {
+      const now = Date.now();
+      writePrivateFile(entryPath(key), JSON.stringify({ ...meta, createdAt: now, usedAt: now, hits: 0, value }));
+      this.prune(key);
+    },
+
+    /**
+     * Remove expired entries and the least recently used ones above the size limit
+     * @param {string} [keep] - Key of an entry to keep in any case, e.g. the one just written
+     * @returns {number} Number of removed entries
+     */
+    prune(keep) {
+      let removed = 0;
+      let total = 0;
+      const kept = keep && entryPath(keep);
+      readEntries()
+        .sort((a, b) => (b.file === kept) - (a.file === kept) || b.usedAt - a.usedAt)
+        .forEach((entry) => {
+          if (entry.file !== kept && (isExpired(entry) || total + entry.size > maxSize)) {
+            fs.rmSync(entry.file, { force: true });
+            removed++;
+            return;
+          }
+          total += entry.size;
+        });
+      return removed;
+    },
+
+    /**
+     * Remove every entry
+     * @returns {number} Number of removed entries
+     */
+    clear() {
+      const entries = readEntries();
+      entries.forEach(entry => fs.rmSync(entry.file, { force: true }));
+      return entries.length;
+    },
+
+    /**
+     * Describe the cache contents
+     * @returns {{entries: number, expired: number, size: number, hits: number, oldest: number|null, newest: number|null}}
+     *   Size in bytes, hits counts the requests the cache saved, dates are timestamps
+     */
+    stats() {
+      const entries = readEntries();
+      const created = entries.map(entry => entry.createdAt);
+      return {
+        entries: entries.length,
+        expired: entries.filter(isExpired).length,
+        size: entries.reduce((sum, entry) => sum + entry.size, 0),
+        hits: entries.reduce((sum, entry) => sum + (entry.hits || 0), 0),
+        oldest: created.length > 0 ? Math.min(...created) : null,
+        newest: created.length > 0 ? Math.max(...created) : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE_DAYS,
+  DEFAULT_MAX_SIZE_MB,
+  computeCacheKey,
+  createResponseCache
+};
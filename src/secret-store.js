@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+
+const SERVICE = 'pr-automator';
+const SECRET_STORE_TYPES = ['auto', 'keyring', 'file'];
+
+/**
+ * Check whether a configuration key holds a secret
+ * @param {string} key - Configuration key
+ * @returns {boolean} True for API keys, tokens and passphrases
+ */
+function isSecretKey(key) {
+  return /(^|_)(API_KEY|TOKEN|PASSPHRASE)$/.test(key);
+}
+
+/**
+ * Mask a secret for display, keeping only enough to recognize it
+ * @param {string} value - Secret value
+ * @returns {string} Masked value
+ */
+function maskSecret(value) {
+  if (!value) {
+    return '';
+  }
+  return value.length > 12 ? `${value.slice(0, 3)}...${value.slice(-4)}` : '********';
+}
+
+/**
+ * Write a file that only the current user can read
+ * The parent directory is created with 0700 and the file is (re)set to 0600.
+ * @param {string} filePath - File to write
+ * @param {string} content - File content
+ */
+function writePrivateFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, content, { encoding: 'utf8', mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
+
+/**
+ * Check whether a command can be run
+ * @param {string} command - Command name
+ * @returns {boolean} True if the command exists
+ */
+function commandExists(command) {
+  return !spawnSync(command, ['--help'], { stdio: 'ignore' }).error;
+}
+
+/**
+ * Quote an argument of a command read by `security -i`
+ * @param {string} value - Argument
+ * @returns {string} Double-quoted argument
+ * @throws {Error} For values with line breaks, which would end the command
+ */
+function quoteSecurityArg(value) {
+  if (/[\r\n]/.test(value)) {
+    throw new Error('Secrets stored in the macOS Keychain cannot contain line breaks');
+  }
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Get the keyring commands of the current platform
+ * Linux uses the Secret Service through secret-tool (libsecret), macOS the login keychain.
+ * @returns {object|null} Commands to look up, store and delete a secret, or null if there is no keyring
+ */
+function getKeyringCommands() {
+  if (process.platform === 'darwin' && commandExists('security')) {
+    return {
+      name: 'macOS Keychain',
+      lookup: account => ['security', ['find-generic-password', '-s', SERVICE, '-a', account, '-w']],
+      // The secret would show up in the process list as an argument, so the command is fed to
+      // security's interactive mode on stdin instead
+      store: (account, value) => ['security', ['-i'], `add-generic-password -U -s ${quoteSecurityArg(SERVICE)} -a ${quoteSecurityArg(account)} -w ${quoteSecurityArg(value)}\n`],
+      clear: account => ['security', ['delete-generic-password', '-s', SERVICE, '-a', account]],
+    };
+  }
+  if (process.platform === 'linux' && commandExists('secret-tool')) {
+    return {
+      name: 'Secret Service',
+      lookup: account => ['secret-tool', ['lookup', 'service', SERVICE, 'account', account]],
+      // secret-tool reads the secret from stdin, so it never shows up in the process list
+      store: (account, value) => ['secret-tool', ['store', `--label=${SERVICE} ${account}`, 'service', SERVICE, 'account', account], value],
+      clear: account => ['secret-tool', ['clear', 'service', SERVICE, 'account', account]],
+    };
+  }
+  return null;
+}
+
+/**
+ * Create a secret store backed by the OS keyring
+ * @param {object} commands - Keyring commands from getKeyringCommands
+ * @returns {object} Secret store
+ */
+function createKeyringStore(commands) {
+  const cache = {};
+  const run = ([command, args, input]) => execFileSync(command, args, {
+    input,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: 15000,
+  });
+
+  return {
+    type: 'keyring',
+    location: commands.name,
+
+    async unlock() {},
+
+    get(name) {
+      if (!(name in cache)) {
+        try {
+          cache[name] = run(commands.lookup(name)).replace(/\r?\n$/, '');
+        } catch {
+          cache[name] = '';
+        }
+      }
+      return cache[name];
+    },
+
+    set(name, value) {
+      try {
+        run(commands.store(name, value));
+      } catch (error) {
+        const details = (error.stderr || error.message || '').toString().trim();
+        throw new Error(`Could not save ${name} to the ${commands.name}: ${details}. Run "pra config SECRET_STORE file" to use an encrypted file instead.`);
+      }
+      cache[name] = value;
+    },
+
+    delete(name) {
+      try {
+        run(commands.clear(name));
+      } catch {
+        // Nothing stored under this name
+      }
+      cache[name] = '';
+    },
+  };
+}
+
+/**
+ * Derive the encryption key of the secrets file from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Salt stored in the file
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Create a secret store backed by a passphrase-protected file
+ * Secrets are kept as one JSON document encrypted with AES-256-GCM; the key is derived with scrypt.
+ * @param {object} options - Options
+ * @param {string} options.filePath - Path to the encrypted file
+ * @param {function(object): Promise<string>} [options.getPassphrase] - Asks for the passphrase; receives {create: boolean}
+ * @param {string} [options.passphrase] - Passphrase (e.g. from PRA_PASSPHRASE), used instead of asking
+ * @returns {object} Secret store
+ */
+function createEncryptedFileStore({ filePath, getPassphrase, passphrase }) {
+  let secrets = null;
+  let key = null;
+  let salt = null;
+
+  const requirePassphrase = async (create) => {
+    if (passphrase) {
+      return passphrase;
+    }
+    if (!getPassphrase) {
+      throw new Error('The secrets file is encrypted. Set PRA_PASSPHRASE to unlock it.');
+    }
+    return getPassphrase({ create });
+  };
+
+  const save = () => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    writePrivateFile(filePath, JSON.stringify({
+      version: 1,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    }, null, 2));
+  };
+
+  const assertUnlocked = () => {
+    if (!key) {
+      throw new Error('The secrets file is locked.');
+    }
+  };
+
+  return {
+    type: 'file',
+    location: filePath,
+
+    /**
+     * Decrypt the file, or prepare a new one when there is none yet
+     * Only asks for a passphrase when the file exists or `create` is set.
+     * @param {object} [options] - Options
+     * @param {boolean} [options.create] - Also ask for a passphrase when the file does not exist yet
+     */
+    async unlock({ create = false } = {}) {
+      if (key) {
+        return;
+      }
+
+      if (!fs.existsSync(filePath)) {
+        secrets = {};
+        if (create) {
+          salt = crypto.randomBytes(16);
+          key = deriveKey(await requirePassphrase(true), salt);
+        }
+        return;
+      }
+
+      const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      salt = Buffer.from(file.salt, 'base64');
+      const derived = deriveKey(await requirePassphrase(false), salt);
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', derived, Buffer.from(file.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+        secrets = JSON.parse(data.toString('utf8'));
+      } catch {
+        throw new Error(`Wrong passphrase for ${filePath}`);
+      }
+      key = derived;
+    },
+
+    get(name) {
+      return (secrets && secrets[name]) || '';
+    },
+
+    set(name, value) {
+      assertUnlocked();
+      secrets[name] = value;
+      save();
+    },
+
+    delete(name) {
+      if (!secrets || !(name in secrets)) {
+        return;
+      }
+      assertUnlocked();
+      delete secrets[name];
+      save();
+    },
+  };
+}
+
+/**
+ * Create the secret store for the configured backend
+ * `auto` uses the OS keyring when one is available and falls back to the encrypted file.
+ * @param {object} options - Options
+ * @param {string} [options.type] - auto, keyring or file
+ * @param {string} options.filePath - Path of the encrypted file
+ * @param {string} [options.passphrase] - Passphrase of the encrypted file
+ * @param {function(object): Promise<string>} [options.getPassphrase] - Asks for the passphrase of the encrypted file
+ * @returns {object} Secret store with unlock, get, set and delete methods
+ */
+function createSecretStore({ type = 'auto', filePath, passphrase, getPassphrase }) {
+  if (!SECRET_STORE_TYPES.includes(type)) {
+    throw new Error(`Unknown secret store "${type}". Supported stores: ${SECRET_STORE_TYPES.join(', ')}`);
+  }
+
+  if (type !== 'file') {
+    const commands = getKeyringCommands();
+    if (commands) {
+      return createKeyringStore(commands);
+    }
+    if (type === 'keyring') {
+      throw new Error('No OS keyring found. Install secret-tool (libsecret) or run "pra config SECRET_STORE file".');
+    }
+  }
+
+  return createEncryptedFileStore({ filePath, passphrase, getPassphrase });
+}
+
+module.exports = {
+  SECRET_STORE_TYPES,
+  isSecretKey,
+  maskSecret,
+  writePrivateFile,
+  createSecretStore
+};
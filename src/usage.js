@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { getModelPrice } = require('./ai-providers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Estimate the cost of a request from the model's list price
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {{promptTokens: number, completionTokens: number}} usage - Token counts
+ * @returns {number|null} Cost in US dollars, or null if the model's price is unknown
+ */
+function estimateCost(provider, model, { promptTokens, completionTokens }) {
+  const price = getModelPrice(provider, model);
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Format a cost for display
+ * @param {number|null} cost - Cost in US dollars
+ * @returns {string} e.g. "$0.0042", or "unknown" if the price is unknown
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) {
+    return 'unknown';
+  }
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Add up token counts and costs
+ * @param {object[]} records - Usage records (see createUsageTracker)
+ * @returns {{requests: number, promptTokens: number, completionTokens: number, cost: number|null, unpriced: number, estimated: boolean}}
+ *   cost only covers priced requests (null if none was), unpriced counts the others;
+ *   estimated is true if any count was estimated rather than reported
+ */
+function sumUsage(records) {
+  const priced = records.filter(record => typeof record.cost === 'number');
+  return {
+    requests: records.length,
+    promptTokens: records.reduce((sum, record) => sum + (record.promptTokens || 0), 0),
+    completionTokens: records.reduce((sum, record) => sum + (record.completionTokens || 0), 0),
+    cost: priced.length > 0 ? priced.reduce((sum, record) => sum + record.cost, 0) : null,
+    unpriced: records.length - priced.length,
+    estimated: records.some(record => record.estimated),
+  };
+}
+
+/**
+ * Describe token counts and cost in one line
+ * @param {{promptTokens: number, completionTokens: number, cost: number|null, unpriced?: number, estimated?: boolean}} totals - Totals from sumUsage
+ * @returns {string} e.g. "1,204 prompt + 312 completion tokens (≈ $0.0007)"
+ */
+function formatUsage(totals) {
+  const approx = totals.estimated ? '~' : '';
+  const tokens = `${approx}${totals.promptTokens.toLocaleString('en-US')} prompt + ${approx}${totals.completionTokens.toLocaleString('en-US')} completion tokens`;
+  if (totals.cost === null) {
+    return `${tokens} (cost unknown)`;
+  }
+  const unpriced = totals.unpriced > 0 ? `, ${totals.unpriced} request(s) without a known price` : '';
+  return `${tokens} (≈ ${formatCost(totals.cost)}${unpriced})`;
+}
+
+/**
+ * Create a tracker for the AI requests of one run
+ * Every recorded request is appended to the usage log as a JSON line, so that logs of
+ * concurrent runs never overwrite each other. The log is only readable by the current user.
+ * @param {object} [options] - Options
+ * @param {string} [options.logFile] - Usage log to append to; nothing is written without it
+ * @param {string} [options.command] - Command of the run, e.g. "create"
+ * @param {string} [options.repo] - Repository the run works on, e.g. "owner/repo"
+ * @returns {object} Usage tracker
+ */
+function createUsageTracker({ logFile, command, repo } = {}) {
+  const records = [];
+
+  return {
+    records,
+
+    /**
+     * Record the usage of a completed request
+     * @param {{provider: string, model: string, promptTokens: number, completionTokens: number, estimated?: boolean}} usage - Usage
+     * @returns {object} Stored record, including the estimated cost
+     */
+    record(usage) {
+      const record = {
+        time: new Date().toISOString(),
+        command: command || null,
+        repo: repo || null,
+        provider: usage.provider,
+        model: usage.model,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        estimated: Boolean(usage.estimated),
+        cost: estimateCost(usage.provider, usage.model, usage),
+      };
+      records.push(record);
+
+      if (logFile) {
+        try {
+          fs.mkdirSync(path.dirname(logFile), { recursive: true, mode: 0o700 });
+          fs.appendFileSync(logFile, `${JSON.stringify(record)}\n`, { encoding: 'utf8', mode: 0o600 });
+        } catch (error) {
+          console.log(`⚠️ Could not write the usage log: ${error.message}`);
+        }
+      }
+      return record;
+    },
+
+    /**
+     * Add up the requests recorded so far
+     * @returns {object} Totals (see sumUsage)
+     */
+    totals() {
+      return sumUsage(records);
+    },
+  };
+}
+
+/**
+ * Read the usage log, skipping lines that are not valid records
+ * @param {string} logFile - Usage log
+ * @returns {object[]} Usage records, oldest first
+ */
+function readUsageLog(logFile) {
+  if (!fs.existsSync(logFile)) {
+    return [];
+  }
+  return fs.readFileSync(logFile, 'utf8')
+    .split('\n')
+    .map((line) => {
+      try {
+        return line.trim() ? JSON.parse(line) : null;
+      } catch {
+        return null;
+      }
+    })
+    .filter(record => record && typeof record.time === 'string');
+}
+
+/**
+ * Summarize usage records per day and per repository
+ * @param {object[]} records - Usage records from readUsageLog
+ * @param {object} [options] - Filters
+ * @param {number} [options.days] - Only count the last n days, including today
+ * @param {string} [options.repo] - Only count this repository
+ * @returns {{total: object, byDay: object[], byRepo: object[]}} Totals (see sumUsage) overall,
+ *   per day ({day: "YYYY-MM-DD", ...}, newest first) and per repository ({repo, ...}, most expensive first)
+ */
+function summarizeUsage(records, { days, repo } = {}) {
+  const since = days ? new Date(new Date().toDateString()).getTime() - (days - 1) * DAY_MS : 0;
+  const selected = records.filter(record => Date.parse(record.time) >= since && (!repo || record.repo === repo));
+
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    selected.forEach((record) => {
+      const key = keyOf(record);
+      groups.set(key, [...(groups.get(key) || []), record]);
+    });
+    return [...groups.entries()].map(([key, group]) => ({ key, ...sumUsage(group) }));
+  };
+
+  // Local calendar day, matching what users expect from "today"
+  const localDay = (time) => {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  };
+
+  return {
+    total: sumUsage(selected),
+    byDay: groupBy(record => localDay(record.time))
+      .map(({ key, ...totals }) => ({ day: key, ...totals }))
+      .sort((a, b) => b.day.localeCompare(a.day)),
+    byRepo: groupBy(record => record.repo || '(unknown)')
+      .map(({ key, ...totals }) => ({ repo: key, ...totals }))
+      .sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.promptTokens - a.promptTokens),
+  };
+}
+
+module.exports = {
+  estimateCost,
+  formatCost,
+  sumUsage,
+  formatUsage,
+  createUsageTracker,
+  readUsageLog,
+  summarizeUsage
+};
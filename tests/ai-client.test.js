@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { parseSSE, requestCompletion, requestWithFallbacks } = require('../src/ai-client');
+const { getProviderConfig } = require('../src/ai-providers');
+const { startStubServer, sendJson } = require('./helpers/stub-server');
+
+const MESSAGES = [{ role: 'user', content: 'Describe this diff' }];
+const provider = getProviderConfig('openai-compatible');
+
+/**
+ * Build an OpenAI-style chat completion response
+ * @param {string} content - Generated text
+ * @returns {object} Response body
+ */
+function completion(content) {
+  return { choices: [{ message: { content } }], usage: { prompt_tokens: 12, completion_tokens: 3 } };
+}
+
+/**
+ * Collect everything a generator yields
+ * @param {AsyncIterable} iterable - Generator
+ * @returns {Promise<object[]>} Yielded values
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('parseSSE joins events split across chunks and stops at [DONE]', async () => {
+  const chunks = [
+    ': keep-alive\n\ndata: {"n":',
+    '1}\r\n\r\ndata: not json\n\n',
+    'data: {"n":2}\n\ndata: [DONE]\n\ndata: {"n":3}\n\n',
+  ];
+  assert.deepStrictEqual(await collect(parseSSE(Readable.from(chunks))), [{ n: 1 }, { n: 2 }]);
+});
+
+test('requestCompletion streams tokens and reports usage from the last chunk', async () => {
+  const server = await startStubServer((request, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+    res.write('data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: {"choices":[],');
+    res.end('"usage":{"prompt_tokens":7,"completion_tokens":2}}\n\ndata: [DONE]\n\n');
+  });
+  try {
+    const tokens = [];
+    const usage = [];
+    const content = await requestCompletion(provider, '', 'stub-model', MESSAGES, {
+      settings: { BASE_URL: server.url },
+      onToken: token => tokens.push(token),
+      onUsage: report => usage.push(report),
+    });
+
+    assert.strictEqual(content, 'Hello');
+    assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+    assert.deepStrictEqual(usage, [{ promptTokens: 7, completionTokens: 2, estimated: false }]);
+    assert.strictEqual(server.requests[0].url, '/chat/completions');
+    assert.strictEqual(server.requests[0].body.stream, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestCompletion retries server errors after retry-after-ms', async () => {
+  const server = await startStubServer((request, res) => {
+    if (server.requests.length === 1) {
+      sendJson(res, 503, { error: { message: 'overloaded' } }, { 'retry-after-ms': '20' });
+    } else {
+      sendJson(res, 200, completion('done'));
+    }
+  });
+  try {
+    const content = await requestCompletion(provider, '', 'stub-model', MESSAGES, { settings: { BASE_URL: server.url }, maxRetries: 2 });
+    assert.strictEqual(content, 'done');
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestCompletion waits for Retry-After before retrying a rate limit', async () => {
+  const server = await startStubServer((request, res) => {
+    if (server.requests.length === 1) {
+      sendJson(res, 429, { error: { message: 'slow down' } }, { 'Retry-After': '1' });
+    } else {
+      sendJson(res, 200, completion('done'));
+    }
+  });
+  try {
+    const started = Date.now();
+    const content = await requestCompletion(provider, '', 'stub-model', MESSAGES, { settings: { BASE_URL: server.url }, maxRetries: 1 });
+    assert.strictEqual(content, 'done');
+    assert.ok(Date.now() - started >= 900, 'retried before Retry-After elapsed');
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestCompletion does not retry authentication errors', async () => {
+  const server = await startStubServer((request, res) => {
+    sendJson(res, 401, { error: { message: 'invalid key' } });
+  });
+  try {
+    await assert.rejects(
+      requestCompletion(provider, 'bad-key', 'stub-model', MESSAGES, { settings: { BASE_URL: server.url }, maxRetries: 3 }),
+      error => error.response.status === 401
+    );
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestCompletion gives up after maxRetries', async () => {
+  const server = await startStubServer((request, res) => {
+    sendJson(res, 500, { error: { message: 'boom' } }, { 'retry-after-ms': '1' });
+  });
+  try {
+    await assert.rejects(requestCompletion(provider, '', 'stub-model', MESSAGES, { settings: { BASE_URL: server.url }, maxRetries: 2 }));
+    assert.strictEqual(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestWithFallbacks moves on to the next provider when one fails', async () => {
+  const server = await startStubServer((request, res) => {
+    if (request.url.startsWith('/primary/')) {
+      sendJson(res, 401, { error: { message: 'invalid key' } });
+    } else {
+      sendJson(res, 200, completion('from fallback'));
+    }
+  });
+  try {
+    const usage = [];
+    const content = await requestWithFallbacks([
+      { provider: 'openai-compatible', model: 'primary-model', apiKey: 'bad', settings: { BASE_URL: `${server.url}/primary` } },
+      { provider: 'openai-compatible', model: 'fallback-model', apiKey: '', settings: { BASE_URL: `${server.url}/fallback` } },
+    ], MESSAGES, { onUsage: report => usage.push(report) });
+
+    assert.strictEqual(content, 'from fallback');
+    assert.deepStrictEqual(server.requests.map(request => request.body.model), ['primary-model', 'fallback-model']);
+    assert.deepStrictEqual(usage, [{ promptTokens: 12, completionTokens: 3, estimated: false, provider: 'openai-compatible', model: 'fallback-model' }]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestWithFallbacks resolves to null when every provider fails', async () => {
+  const server = await startStubServer((request, res) => {
+    sendJson(res, 400, { error: { message: 'bad request' } });
+  });
+  try {
+    const content = await requestWithFallbacks([
+      { provider: 'openai-compatible', model: 'a', apiKey: '', settings: { BASE_URL: server.url } },
+      { provider: 'openai-compatible', model: 'b', apiKey: '', settings: { BASE_URL: server.url } },
+    ], MESSAGES);
+    assert.strictEqual(content, null);
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
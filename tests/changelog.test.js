@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCommitRange, writeChangelogSection } = require('../src/changelog');
+
+const HEADER = '# Changelog\n\nAll notable changes to this project will be documented in this file.\n';
+
+/**
+ * Get the path of a changelog in a directory that is removed after the test
+ * @param {object} t - Test context
+ * @param {string} [content] - Initial content; the file is not created without it
+ * @returns {string} Changelog path
+ */
+function changelogFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pra-changelog-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'CHANGELOG.md');
+  if (content !== undefined) {
+    fs.writeFileSync(file, content);
+  }
+  return file;
+}
+
+test('writeChangelogSection creates a missing file with the Keep a Changelog header', (t) => {
+  const file = changelogFile(t);
+  writeChangelogSection(file, '## [Unreleased]\n\n### Added\n- Dark mode');
+  const content = fs.readFileSync(file, 'utf8');
+  assert.match(content, /^# Changelog\n\nAll notable changes .*\n\nThe format is based on \[Keep a Changelog\]/);
+  assert.ok(content.endsWith('\n\n## [Unreleased]\n\n### Added\n- Dark mode\n'));
+});
+
+test('writeChangelogSection replaces the existing Unreleased section', (t) => {
+  const file = changelogFile(t, `${HEADER}\n## [Unreleased]\n\n### Added\n- Old draft\n\n## [1.0.0] - 2024-01-01\n\n### Added\n- First release\n`);
+  writeChangelogSection(file, '## [Unreleased]\n\n### Fixed\n- Crash on start');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'),
+    `${HEADER}\n## [Unreleased]\n\n### Fixed\n- Crash on start\n\n## [1.0.0] - 2024-01-01\n\n### Added\n- First release\n`);
+});
+
+test('writeChangelogSection inserts a release below Unreleased and above the newest release', (t) => {
+  const file = changelogFile(t, `${HEADER}\n## [Unreleased]\n\n- Work in progress\n\n## [1.0.0] - 2024-01-01\n\n- First release\n`);
+  writeChangelogSection(file, '## [1.1.0] - 2024-02-01\n\n- Second release');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'),
+    `${HEADER}\n## [Unreleased]\n\n- Work in progress\n\n## [1.1.0] - 2024-02-01\n\n- Second release\n\n## [1.0.0] - 2024-01-01\n\n- First release\n`);
+});
+
+test('writeChangelogSection replaces a release by version whatever its date', (t) => {
+  const file = changelogFile(t, `${HEADER}\n## [1.1.0] - 2024-02-01\n\n- Draft\n\n## 1.0.0\n\n- First release\n`);
+  writeChangelogSection(file, '## [1.1.0] - 2024-02-03\n\n- Final');
+  writeChangelogSection(file, '## [1.0.0] - 2024-01-01\n\n- First release, dated');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'),
+    `${HEADER}\n## [1.1.0] - 2024-02-03\n\n- Final\n\n## [1.0.0] - 2024-01-01\n\n- First release, dated\n`);
+});
+
+test('writeChangelogSection appends the first section to a file without releases', (t) => {
+  const file = changelogFile(t, HEADER);
+  writeChangelogSection(file, '## [0.1.0] - 2024-01-01\n\n- Initial release');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), `${HEADER}\n## [0.1.0] - 2024-01-01\n\n- Initial release\n`);
+});
+
+test('parseCommitRange reads both ends of two- and three-dot ranges', () => {
+  assert.deepStrictEqual(parseCommitRange('v1.0.0..v1.1.0'), { from: 'v1.0.0', to: 'v1.1.0' });
+  assert.deepStrictEqual(parseCommitRange('v1.0.0...main'), { from: 'v1.0.0', to: 'main' });
+  assert.deepStrictEqual(parseCommitRange('v1.0.0'), { from: 'v1.0.0' });
+  assert.deepStrictEqual(parseCommitRange('v1.0.0..'), { from: 'v1.0.0', to: undefined });
+  assert.deepStrictEqual(parseCommitRange('..release/2.0'), { from: undefined, to: 'release/2.0' });
+  assert.deepStrictEqual(parseCommitRange(undefined), {});
+});
+
+test('parseCommitRange rejects malformed ranges', () => {
+  ['a..b..c', 'a...b...c', 'a....b', 'v1..v2...v3'].forEach((range) => {
+    assert.strictEqual(parseCommitRange(range), null, range);
+  });
+});
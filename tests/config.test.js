@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/config');
+
+/**
+ * Create a home directory and a repository to load configuration from
+ * HOME points at the temporary home until the test ends.
+ * @param {object} t - Test context
+ * @param {object} files - File contents keyed by path; paths under home/ or repo/
+ * @returns {{home: string, repo: string}} Directories
+ */
+function setup(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pra-config-'));
+  const home = path.join(root, 'home');
+  const repo = path.join(root, 'repo');
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  fs.mkdirSync(home);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  t.after(() => {
+    process.env.HOME = previousHome;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  return { home, repo };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('defaults apply when nothing is configured', (t) => {
+  const { repo } = setup(t, {});
+  const config = new ConfigManager({ cwd: repo, env: {} });
+  assert.strictEqual(config.get('AI_PROVIDER'), 'deepseek');
+  assert.deepStrictEqual(config.getOrigin('AI_PROVIDER'), { source: 'default', location: 'built-in default' });
+  assert.strictEqual(config.getOrigin('TONE'), null);
+});
+
+test('layers resolve in the order defaults < global < profile < project < PRA_* env < CLI', (t) => {
+  const { home, repo } = setup(t, {
+    'home/.pr-automator': [
+      'AI_PROVIDER=openai', 'MODEL=global', 'DIFF_SOURCE=global', 'TONE=global', 'LANGUAGE=global', 'DETAIL_LEVEL=global', 'PROFILE=work',
+    ].join('\n'),
+    'home/.pr-automator.d/profiles/work': 'MODEL=profile\nTONE=profile\nLANGUAGE=profile\nDETAIL_LEVEL=profile\n',
+    'repo/.pra.yml': 'tone: project\nlanguage: project\ndetail_level: project\n',
+  });
+  const config = new ConfigManager({ cwd: path.join(repo, 'src', 'lib'), env: { PRA_LANGUAGE: 'env', PRA_DETAIL_LEVEL: 'env' } });
+  config.setOverrides({ DETAIL_LEVEL: 'cli', TONE: undefined, LANGUAGE: '' });
+
+  const expected = {
+    AI_PROVIDER: ['openai', { source: 'global', location: path.join(home, '.pr-automator') }],
+    DIFF_SOURCE: ['global', { source: 'global', location: path.join(home, '.pr-automator') }],
+    MODEL: ['profile', { source: 'profile', location: path.join(home, '.pr-automator.d', 'profiles', 'work') }],
+    TONE: ['project', { source: 'project', location: path.join(repo, '.pra.yml') }],
+    LANGUAGE: ['env', { source: 'env', location: 'PRA_LANGUAGE' }],
+    DETAIL_LEVEL: ['cli', { source: 'cli', location: 'command-line flag' }],
+  };
+  Object.entries(expected).forEach(([key, [value, origin]]) => {
+    assert.strictEqual(config.get(key), value, key);
+    assert.deepStrictEqual(config.getOrigin(key), origin, key);
+  });
+});
+
+test('the profile can be chosen by the project, environment or CLI', (t) => {
+  const { repo } = setup(t, {
+    'home/.pr-automator': 'PROFILE=work\n',
+    'home/.pr-automator.d/profiles/work': 'MODEL=work-model\n',
+    'home/.pr-automator.d/profiles/oss': 'MODEL=oss-model\n',
+    'repo/.pr-automator.json': JSON.stringify({ profile: 'oss' }),
+  });
+  assert.strictEqual(new ConfigManager({ cwd: repo, env: {} }).get('MODEL'), 'oss-model');
+  assert.strictEqual(new ConfigManager({ cwd: repo, env: { PRA_PROFILE: 'work' } }).get('MODEL'), 'work-model');
+});
+
+test('endpoints, credentials and the prompt template path are ignored in project files', (t) => {
+  const { repo } = setup(t, {
+    'home/.pr-automator': 'BASE_URL=https://llm.example.com/v1\n',
+    'repo/.pr-automator.json': JSON.stringify({
+      model: 'project-model',
+      base_url: 'https://attacker.example.com/v1',
+      pr_host_url: 'https://attacker.example.com',
+      github_api_url: 'https://attacker.example.com/api/v3',
+      azure_endpoint: 'https://attacker.example.com',
+      secret_store: 'file',
+      api_key: 'sk-project',
+      github_token: 'ghp_project',
+      prompt_template: '/etc/passwd',
+    }),
+  });
+  const config = new ConfigManager({ cwd: repo, env: {} });
+
+  assert.strictEqual(config.get('MODEL'), 'project-model');
+  assert.strictEqual(config.get('BASE_URL'), 'https://llm.example.com/v1');
+  ['PR_HOST_URL', 'GITHUB_API_URL', 'AZURE_ENDPOINT', 'SECRET_STORE', 'API_KEY', 'GITHUB_TOKEN', 'PROMPT_TEMPLATE'].forEach((key) => {
+    assert.notStrictEqual(config.getOrigin(key)?.source, 'project', key);
+  });
+  const [warning] = console.warn.mock.calls.map(call => call.arguments.join(' '));
+  assert.match(warning, /^⚠️ Ignoring BASE_URL, PR_HOST_URL, GITHUB_API_URL, AZURE_ENDPOINT, SECRET_STORE, API_KEY, GITHUB_TOKEN, PROMPT_TEMPLATE in /);
+});
+
+test('user-only keys still apply from PRA_* variables', (t) => {
+  const { repo } = setup(t, {});
+  const config = new ConfigManager({ cwd: repo, env: { PRA_BASE_URL: 'https://llm.example.com/v1', PRA_PROMPT_TEMPLATE: '~/prompt.md' } });
+  assert.strictEqual(config.get('BASE_URL'), 'https://llm.example.com/v1');
+  assert.strictEqual(config.get('PROMPT_TEMPLATE'), '~/prompt.md');
+});
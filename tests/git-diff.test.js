@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseRawDiff } = require('../src/git');
+const { quoteGitPath, diffGitLine, mergeTypeChangePatches, parseFilePatch } = require('../src/patch');
+
+const LINES = Array.from({ length: 12 }, (_, index) => `const line${index} = ${index};`);
+
+/**
+ * Run git in a repository
+ * @param {string} cwd - Repository directory
+ * @param {string[]} args - git arguments
+ * @returns {string} Output
+ */
+function git(cwd, args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' });
+}
+
+/**
+ * Commit two revisions covering awkward paths, a rename with edits, a type change and a binary file,
+ * and capture their diff as getChangedFileEntries reads it
+ * @returns {string} git diff --raw -z -p output
+ */
+function captureDiff() {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'pra-diff-'));
+  try {
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+      fs.writeFileSync(path.join(repo, file), content);
+    };
+    git(repo, ['init', '-q']);
+    ['with space.txt', 'quote"d.txt', 'new\nline.txt', 'naïve.txt'].forEach(file => write(file, 'one\n'));
+    write('old name.js', `${LINES.join('\n')}\n`);
+    write('link', 'with space.txt\n');
+    write('image.bin', Buffer.from([0, 1, 2, 3]));
+    git(repo, ['add', '-A']);
+    git(repo, ['commit', '-q', '-m', 'base']);
+
+    ['with space.txt', 'quote"d.txt', 'new\nline.txt', 'naïve.txt'].forEach(file => write(file, 'two\n'));
+    fs.unlinkSync(path.join(repo, 'old name.js'));
+    write('src/new "name".js', `${LINES.join('\n').replace('line5 = 5', 'line5 = 50')}\n`);
+    fs.unlinkSync(path.join(repo, 'link'));
+    fs.symlinkSync('with space.txt', path.join(repo, 'link'));
+    write('image.bin', Buffer.from([0, 1, 2, 4]));
+    git(repo, ['add', '-A']);
+    git(repo, ['commit', '-q', '-m', 'change']);
+
+    return git(repo, ['-c', 'core.quotePath=false', 'diff', '--raw', '-z', '-p', '-M', '--no-color', '--no-ext-diff',
+      '--no-textconv', '--no-relative', '--src-prefix=a/', '--dst-prefix=b/', 'HEAD~1', 'HEAD']);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+}
+
+const entries = parseRawDiff(captureDiff());
+const entry = file => entries.find(candidate => candidate.file === file);
+
+test('parseRawDiff lists every changed file once', () => {
+  assert.deepStrictEqual(entries.map(({ file }) => file).sort(), [
+    'image.bin', 'link', 'naïve.txt', 'new\nline.txt', 'quote"d.txt', 'src/new "name".js', 'with space.txt',
+  ]);
+});
+
+test('parseRawDiff matches paths with spaces, quotes, newlines and non-ASCII characters to their patches', () => {
+  const expected = {
+    'with space.txt': 'diff --git a/with space.txt b/with space.txt',
+    'quote"d.txt': 'diff --git "a/quote\\"d.txt" "b/quote\\"d.txt"',
+    'new\nline.txt': 'diff --git "a/new\\nline.txt" "b/new\\nline.txt"',
+    'naïve.txt': 'diff --git a/naïve.txt b/naïve.txt',
+  };
+  Object.entries(expected).forEach(([file, line]) => {
+    const { status, header, hunks, additions, deletions } = entry(file);
+    assert.strictEqual(status, 'modified', file);
+    assert.strictEqual(header[0], line);
+    assert.strictEqual(header[0], diffGitLine(file, file));
+    assert.deepStrictEqual(hunks.map(hunk => hunk.lines), [['-one', '+two']], file);
+    assert.deepStrictEqual([additions, deletions], [1, 1], file);
+  });
+});
+
+test('parseRawDiff keeps the old path and the edits of a renamed file', () => {
+  const renamed = entry('src/new "name".js');
+  assert.strictEqual(renamed.status, 'renamed');
+  assert.strictEqual(renamed.oldFile, 'old name.js');
+  assert.strictEqual(renamed.header[0], 'diff --git a/old name.js "b/src/new \\"name\\".js"');
+  assert.ok(renamed.header.includes('rename from old name.js'));
+  assert.ok(renamed.header.includes('rename to "src/new \\"name\\".js"'));
+  assert.deepStrictEqual([renamed.additions, renamed.deletions], [1, 1]);
+  assert.ok(renamed.hunks[0].lines.includes('+const line5 = 50;'));
+});
+
+test('parseRawDiff merges both patches of a file replaced by a symlink', () => {
+  const link = entry('link');
+  assert.strictEqual(link.status, 'type-changed');
+  assert.strictEqual(link.header[0], 'diff --git a/link b/link');
+  assert.ok(link.header.includes('deleted file mode 100644'));
+  assert.ok(link.header.includes('new file mode 120000'));
+  assert.deepStrictEqual(link.header.slice(-2), ['--- a/link', '+++ b/link']);
+  assert.strictEqual(link.header.filter(line => line.startsWith('diff --git ')).length, 1);
+  assert.deepStrictEqual(link.hunks.map(hunk => hunk.lines), [['-with space.txt'], ['+with space.txt', '\\ No newline at end of file']]);
+});
+
+test('parseRawDiff marks binary files', () => {
+  const binary = entry('image.bin');
+  assert.strictEqual(binary.binary, true);
+  assert.deepStrictEqual(binary.hunks, []);
+  assert.strictEqual(binary.header[0], 'diff --git a/image.bin b/image.bin');
+});
+
+test('parseRawDiff skips unmerged paths and returns nothing for an empty diff', () => {
+  assert.deepStrictEqual(parseRawDiff(''), []);
+  const output = ':000000 000000 0000000 0000000 U\0conflict.txt\0:100644 100644 1111111 2222222 M\0a.txt\0'
+    + 'diff --git a/a.txt b/a.txt\nindex 1111111..2222222 100644\n--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-a\n+b\n';
+  assert.deepStrictEqual(parseRawDiff(output).map(({ file, status }) => ({ file, status })), [{ file: 'a.txt', status: 'modified' }]);
+});
+
+test('quoteGitPath quotes and escapes like git with core.quotePath=false', () => {
+  assert.strictEqual(quoteGitPath('a/plain name.txt'), 'a/plain name.txt');
+  assert.strictEqual(quoteGitPath('a/naïve.txt'), 'a/naïve.txt');
+  assert.strictEqual(quoteGitPath('a/say "hi"'), '"a/say \\"hi\\""');
+  assert.strictEqual(quoteGitPath('a/back\\slash'), '"a/back\\\\slash"');
+  assert.strictEqual(quoteGitPath('a/tab\there\nnew'), '"a/tab\\there\\nnew"');
+  assert.strictEqual(quoteGitPath('a/bell\x07del\x7fesc\x1b'), '"a/bell\\adel\\177esc\\033"');
+});
+
+test('mergeTypeChangePatches joins the deletion and the creation under one header', () => {
+  const removed = parseFilePatch('diff --git a/x b/x\ndeleted file mode 100644\nindex 1111111..0000000\n--- a/x\n+++ /dev/null\n@@ -1 +0,0 @@\n-old\n');
+  const added = parseFilePatch('diff --git a/x b/x\nnew file mode 120000\nindex 0000000..2222222\n--- /dev/null\n+++ b/x\n@@ -0,0 +1 @@\n+new\n');
+  assert.deepStrictEqual(mergeTypeChangePatches(removed, added), {
+    header: [
+      'diff --git a/x b/x',
+      'deleted file mode 100644',
+      'index 1111111..0000000',
+      'new file mode 120000',
+      'index 0000000..2222222',
+      '--- a/x',
+      '+++ b/x',
+    ],
+    hunks: [...removed.hunks, ...added.hunks],
+    binary: false,
+    additions: 1,
+    deletions: 1,
+  });
+});
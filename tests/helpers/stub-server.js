@@ -0,0 +1,55 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server that answers with a handler and records every request
+ * @param {function(object, http.ServerResponse): void} handler - Called with the recorded
+ *   request ({method, url, headers, body}) and the response to write
+ * @returns {Promise<{url: string, requests: object[], close: function(): Promise<void>}>} Server
+ */
+function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (chunk) => {
+      text += chunk;
+    });
+    req.on('end', () => {
+      let body = text;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch {
+        // Keep non-JSON bodies as text
+      }
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {object} data - Response body
+ * @param {object} [headers] - Extra headers
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = {
+  startStubServer,
+  sendJson
+};
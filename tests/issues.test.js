@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReferences, appendIssueLinks } = require('../src/issues');
+
+test('parseReferences closes issues named in the branch', () => {
+  ['fix/issue-12-crash', 'issues/12', 'gh-12', 'fix/#12', 'ISSUE_12'].forEach((branch) => {
+    assert.deepStrictEqual(parseReferences({ branch }).issues, [{ number: 12, closes: true }], branch);
+  });
+});
+
+test('parseReferences only relates leading branch numbers', () => {
+  assert.deepStrictEqual(parseReferences({ branch: 'feat/2-factor-auth' }).issues, [{ number: 2, closes: false }]);
+  assert.deepStrictEqual(parseReferences({ branch: 'release/2024-notes' }).issues, [{ number: 2024, closes: false }]);
+  assert.deepStrictEqual(parseReferences({ branch: 'release/2024.1' }).issues, []);
+});
+
+test('parseReferences closes issues after a closing keyword and relates other mentions', () => {
+  const commits = 'fix: crash on start\n\nFixes #42, see #43\nresolved: GH-44\nowner/repo#45 and &#46;\nGH-47 too';
+  assert.deepStrictEqual(parseReferences({ commits }).issues, [
+    { number: 42, closes: true },
+    { number: 44, closes: true },
+    { number: 43, closes: false },
+    { number: 47, closes: false },
+  ]);
+});
+
+test('parseReferences keeps a closing reference when the issue is also mentioned', () => {
+  const { issues } = parseReferences({ branch: 'feat/12-login', commits: 'Closes #12\nFollow-up to #12' });
+  assert.deepStrictEqual(issues, [{ number: 12, closes: true }]);
+});
+
+test('parseReferences finds ticket keys but not look-alikes', () => {
+  const { tickets } = parseReferences({ branch: 'feat/proj-123-login', commits: 'PROJ-124: use UTF-8 and SHA-256\nsee GH-5, PROJ-123' });
+  assert.deepStrictEqual(tickets, ['PROJ-123', 'PROJ-124']);
+  assert.deepStrictEqual(parseReferences({ commits: 'SUP-9 and PROJ-1', ticketPattern: 'SUP-\\d+' }).tickets, ['SUP-9']);
+});
+
+test('appendIssueLinks appends closing keywords, related issues and ticket links', () => {
+  const references = { issues: [{ number: 42, closes: true }, { number: 43, closes: false }], tickets: ['PROJ-1'] };
+  const body = appendIssueLinks('## Summary\nFix the crash.', references, { ticketUrl: 'https://jira.example.com/browse/{id}' });
+  assert.strictEqual(body, [
+    '## Summary\nFix the crash.',
+    '',
+    '**Linked Issues:**',
+    '- Closes #42',
+    '- Related to #43',
+    '- [PROJ-1](https://jira.example.com/browse/PROJ-1)',
+  ].join('\n'));
+});
+
+test('appendIssueLinks skips references the body already contains', () => {
+  const references = { issues: [{ number: 42, closes: true }, { number: 43, closes: false }], tickets: ['PROJ-1'] };
+  const body = 'Fixes #42 (see #43) for PROJ-1';
+  assert.strictEqual(appendIssueLinks(body, references), body);
+});
+
+test('appendIssueLinks still closes an issue the body only mentions', () => {
+  const body = appendIssueLinks('Crash from #42', { issues: [{ number: 42, closes: true }], tickets: [] });
+  assert.strictEqual(body, 'Crash from #42\n\n**Linked Issues:**\n- Closes #42');
+});
+
+test('appendIssueLinks does not mistake #420 for #42', () => {
+  const body = appendIssueLinks('Closes #420', { issues: [{ number: 42, closes: false }], tickets: [] });
+  assert.strictEqual(body, 'Closes #420\n\n**Linked Issues:**\n- Related to #42');
+});
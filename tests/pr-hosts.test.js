@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGitHubHost } = require('../src/pr-hosts/github');
+const { createGitLabHost } = require('../src/pr-hosts/gitlab');
+const { createGiteaHost } = require('../src/pr-hosts/gitea');
+const { createBitbucketHost } = require('../src/pr-hosts/bitbucket');
+const { startStubServer, sendJson } = require('./helpers/stub-server');
+
+const REPO = { host: 'forge.example.com', owner: 'acme', repo: 'widgets' };
+const BRANCH = 'feature/login';
+
+/**
+ * Start a stub forge that answers "METHOD /path" routes and 404s everything else
+ * @param {object} routes - Response bodies keyed by method and path (without the query string)
+ * @returns {Promise<object>} Stub server, see startStubServer
+ */
+function startForge(routes) {
+  return startStubServer((request, res) => {
+    const route = `${request.method} ${request.url.split('?')[0]}`;
+    if (route in routes) {
+      sendJson(res, request.method === 'POST' ? 201 : 200, routes[route]);
+    } else {
+      sendJson(res, 404, { message: `No route for ${route}` });
+    }
+  });
+}
+
+const githubPR = { number: 7, html_url: 'https://forge.example.com/acme/widgets/pull/7', title: 'feat: login', body: 'Body', base: { ref: 'main' } };
+const gitlabMR = { iid: 7, web_url: 'https://forge.example.com/acme/widgets/-/merge_requests/7', title: 'feat: login', description: 'Body', target_branch: 'main' };
+const giteaPR = { ...githubPR, head: { ref: BRANCH } };
+const bitbucketPR = { id: 7, links: { html: { href: 'https://bitbucket.org/acme/widgets/pull-requests/7' } }, title: 'feat: login', description: 'Body', destination: { branch: { name: 'main' } } };
+const gitlabProject = '/projects/acme%2Fwidgets';
+
+const HOSTS = [
+  {
+    name: 'GitHub',
+    createHost: createGitHubHost,
+    routes: {
+      'GET /repos/acme/widgets/pulls': [githubPR],
+      'POST /repos/acme/widgets/pulls': githubPR,
+      'PATCH /repos/acme/widgets/pulls/7': githubPR,
+    },
+    createRequest: { method: 'POST', url: '/repos/acme/widgets/pulls', body: { title: 'feat: login', body: 'Body', head: `acme:${BRANCH}`, base: 'main', draft: false } },
+    updateRequest: { method: 'PATCH', url: '/repos/acme/widgets/pulls/7', body: { title: 'feat: login', body: 'New body' } },
+  },
+  {
+    name: 'GitLab',
+    createHost: createGitLabHost,
+    routes: {
+      [`GET ${gitlabProject}/merge_requests`]: [gitlabMR],
+      [`GET ${gitlabProject}`]: { id: 42, default_branch: 'main' },
+      [`POST ${gitlabProject}/merge_requests`]: gitlabMR,
+      [`PUT ${gitlabProject}/merge_requests/7`]: gitlabMR,
+    },
+    createRequest: { method: 'POST', url: `${gitlabProject}/merge_requests`, body: { source_branch: BRANCH, target_branch: 'main', title: 'feat: login', description: 'Body' } },
+    updateRequest: { method: 'PUT', url: `${gitlabProject}/merge_requests/7`, body: { title: 'feat: login', description: 'New body' } },
+  },
+  {
+    name: 'Gitea',
+    createHost: createGiteaHost,
+    routes: {
+      'GET /repos/acme/widgets/pulls': [{ ...giteaPR, number: 3, head: { ref: 'other' } }, giteaPR],
+      'POST /repos/acme/widgets/pulls': giteaPR,
+      'PATCH /repos/acme/widgets/pulls/7': giteaPR,
+    },
+    createRequest: { method: 'POST', url: '/repos/acme/widgets/pulls', body: { title: 'feat: login', body: 'Body', head: BRANCH, base: 'main' } },
+    updateRequest: { method: 'PATCH', url: '/repos/acme/widgets/pulls/7', body: { title: 'feat: login', body: 'New body' } },
+  },
+  {
+    name: 'Bitbucket',
+    createHost: createBitbucketHost,
+    routes: {
+      'GET /repositories/acme/widgets/pullrequests': { values: [bitbucketPR] },
+      'POST /repositories/acme/widgets/pullrequests': bitbucketPR,
+      'PUT /repositories/acme/widgets/pullrequests/7': bitbucketPR,
+    },
+    createRequest: {
+      method: 'POST',
+      url: '/repositories/acme/widgets/pullrequests',
+      body: { title: 'feat: login', description: 'Body', draft: false, source: { branch: { name: BRANCH } }, destination: { branch: { name: 'main' } } },
+    },
+    updateRequest: { method: 'PUT', url: '/repositories/acme/widgets/pullrequests/7', body: { title: 'feat: login', description: 'New body' } },
+  },
+];
+
+HOSTS.forEach(({ name, createHost, routes, createRequest, updateRequest }) => {
+  test(`${name} host finds, creates and updates the PR of the branch`, async () => {
+    const server = await startForge(routes);
+    try {
+      const host = createHost({ token: 'secret', target: REPO, source: REPO, branch: BRANCH, apiUrl: server.url });
+
+      const existing = await host.findPR();
+      assert.strictEqual(existing.number, 7);
+      assert.strictEqual(existing.title, 'feat: login');
+      assert.strictEqual(existing.body, 'Body');
+      assert.strictEqual(existing.baseRefName, 'main');
+      assert.match(existing.url, /7$/);
+
+      server.requests.length = 0;
+      const created = await host.createPR({ title: 'feat: login', body: 'Body', base: 'main' });
+      assert.strictEqual(created.number, 7);
+      const create = server.requests.find(request => request.method === createRequest.method);
+      assert.strictEqual(create.url, createRequest.url);
+      assert.deepStrictEqual(create.body, createRequest.body);
+
+      server.requests.length = 0;
+      await host.updatePR(existing, { title: 'feat: login', body: 'New body', base: 'main' });
+      assert.deepStrictEqual(server.requests.map(({ method, url, body }) => ({ method, url, body })), [updateRequest]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test(`${name} host authenticates every request`, async () => {
+    const server = await startForge(routes);
+    try {
+      await createHost({ token: 'secret', target: REPO, source: REPO, branch: BRANCH, apiUrl: server.url }).findPR();
+      const { headers } = server.requests[0];
+      assert.ok([headers.authorization, headers['private-token']].some(value => value && value.includes('secret')));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test(`${name} host gives up on a forge that does not answer`, async () => {
+    const server = await startStubServer(() => {});
+    try {
+      const host = createHost({ token: 'secret', target: REPO, source: REPO, branch: BRANCH, apiUrl: server.url, timeout: 50 });
+      await assert.rejects(host.findPR(), error => error.code === 'ECONNABORTED');
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+test('GitHub host returns null when the branch has no open PR', async () => {
+  const server = await startForge({ 'GET /repos/acme/widgets/pulls': [] });
+  try {
+    const host = createGitHubHost({ token: 'secret', target: REPO, source: { ...REPO, owner: 'fork' }, branch: BRANCH, apiUrl: server.url });
+    assert.strictEqual(await host.findPR(), null);
+    assert.strictEqual(new URL(server.requests[0].url, server.url).searchParams.get('head'), `fork:${BRANCH}`);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache } = require('../src/response-cache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every entry takes a little over 1 KB
+const ENTRY_BODY = 'x'.repeat(1000);
+const kilobytes = count => count / 1024;
+
+/**
+ * Create an empty cache directory that is removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Cache directory
+ */
+function cacheDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pra-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write a cache entry with controlled timestamps
+ * @param {string} dir - Cache directory
+ * @param {string} key - Entry key
+ * @param {object} times - Entry times
+ * @param {number} times.createdAt - Creation time
+ * @param {number} [times.usedAt] - Last use (defaults to createdAt)
+ */
+function writeEntry(dir, key, { createdAt, usedAt = createdAt }) {
+  const entry = { createdAt, usedAt, hits: 0, value: { title: key, body: ENTRY_BODY } };
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(entry));
+}
+
+/**
+ * List the keys left in a cache directory
+ * @param {string} dir - Cache directory
+ * @returns {string[]} Keys, sorted
+ */
+function keys(dir) {
+  return fs.readdirSync(dir).map(name => name.replace(/\.json$/, '')).sort();
+}
+
+test('prune evicts the least recently used entries above the size limit', (t) => {
+  const dir = cacheDir(t);
+  const now = Date.now();
+  // Created in one order, used in another: eviction follows the last use
+  writeEntry(dir, 'a', { createdAt: now - 4000, usedAt: now - 1000 });
+  writeEntry(dir, 'b', { createdAt: now - 3000, usedAt: now - 4000 });
+  writeEntry(dir, 'c', { createdAt: now - 2000, usedAt: now - 3000 });
+  writeEntry(dir, 'd', { createdAt: now - 1000, usedAt: now - 2000 });
+
+  const cache = createResponseCache({ dir, maxSizeMB: kilobytes(3) });
+  assert.strictEqual(cache.prune(), 2);
+  assert.deepStrictEqual(keys(dir), ['a', 'd']);
+  assert.strictEqual(cache.prune(), 0);
+});
+
+test('prune removes expired entries however recently they were used', (t) => {
+  const dir = cacheDir(t);
+  const now = Date.now();
+  writeEntry(dir, 'old', { createdAt: now - 2 * DAY_MS, usedAt: now });
+  writeEntry(dir, 'fresh', { createdAt: now - DAY_MS / 2 });
+
+  const cache = createResponseCache({ dir, maxAgeDays: 1 });
+  assert.strictEqual(cache.prune(), 1);
+  assert.deepStrictEqual(keys(dir), ['fresh']);
+});
+
+test('prune never removes the entry it is asked to keep', (t) => {
+  const dir = cacheDir(t);
+  const now = Date.now();
+  writeEntry(dir, 'kept', { createdAt: now - 2 * DAY_MS, usedAt: now - 3000 });
+  writeEntry(dir, 'recent', { createdAt: now - 1000 });
+  writeEntry(dir, 'older', { createdAt: now - 2000 });
+
+  // The kept entry is expired and the least recently used, yet it stays and counts towards the limit
+  const cache = createResponseCache({ dir, maxAgeDays: 1, maxSizeMB: kilobytes(1.5) });
+  assert.strictEqual(cache.prune('kept'), 2);
+  assert.deepStrictEqual(keys(dir), ['kept']);
+});
+
+test('get refreshes an entry so that it outlives entries used less recently', (t) => {
+  const dir = cacheDir(t);
+  const now = Date.now();
+  writeEntry(dir, 'first', { createdAt: now - 2000 });
+  writeEntry(dir, 'second', { createdAt: now - 1000 });
+
+  const cache = createResponseCache({ dir, maxSizeMB: kilobytes(1.5) });
+  assert.strictEqual(cache.get('first').value.title, 'first');
+  cache.prune();
+  assert.deepStrictEqual(keys(dir), ['first']);
+});
+
+test('set keeps the new entry and evicts the least recently used one', (t) => {
+  const dir = cacheDir(t);
+  const now = Date.now();
+  writeEntry(dir, 'older', { createdAt: now - 2000 });
+  writeEntry(dir, 'recent', { createdAt: now - 1000 });
+
+  const cache = createResponseCache({ dir, maxSizeMB: kilobytes(2.5) });
+  cache.set('new', { title: 'new', body: ENTRY_BODY });
+  assert.deepStrictEqual(keys(dir), ['new', 'recent']);
+  assert.strictEqual(cache.get('older'), null);
+});